@@ -23,6 +23,7 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const command = args[0];
   const options = {};
+  const positional = [];
 
   const toCamelCase = (str) => str.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
 
@@ -37,10 +38,12 @@ function parseArgs() {
       } else {
         options[key] = true;
       }
+    } else {
+      positional.push(arg);
     }
   }
 
-  return { command, options, positional: args.slice(1).filter(a => !a.startsWith('--')) };
+  return { command, options, positional };
 }
 
 /**
@@ -51,6 +54,16 @@ async function loadLib(name) {
   return (await import(`file://${modulePath}`));
 }
 
+/**
+ * Print `--json` output on stdout (everything else goes to stderr). Resolves
+ * once written, so process.exit cannot cut a piped write short.
+ */
+function printJson(data) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`, (error) => (error ? reject(error) : resolve()));
+  });
+}
+
 /**
  * Generate baseline profile
  */
@@ -112,162 +125,305 @@ async function cmdFeed(options) {
 }
 
 /**
- * Collect data from various sources (AmikoNet, Moltbook) or import from file
+ * Retry/concurrency flags shared by every collector
  */
-async function cmdGraphCollect(options) {
-  const importPath = options.import;
+function requestOptions(options) {
+  return {
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    concurrency: options.concurrency,
+    onRetry: ({ url, attempt, delay, status, error }) => {
+      const reason = status ? `HTTP ${status}` : error;
+      console.error(`   ↻ Retry ${attempt} in ${Math.round(delay)}ms (${reason}): ${url}`);
+    }
+  };
+}
+
+/**
+ * Comma-separated flag value as a list (undefined when absent)
+ */
+function listOption(value) {
+  if (typeof value !== 'string') return undefined;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * --since/--until/--as-of for graph queries
+ */
+function timeWindowOptions(options) {
+  return { since: options.since, until: options.until, asOf: options.asOf };
+}
+
+function timeWindowLabel(options) {
+  const parts = [
+    options.since && `since ${options.since}`,
+    options.until && `until ${options.until}`,
+    options.asOf && `as of ${options.asOf}`
+  ].filter(Boolean);
+  return parts.length ? ` [${parts.join(', ')}]` : '';
+}
+
+/**
+ * Summarize comment threads that could not be fetched
+ */
+function reportCommentFailures(failures = []) {
+  if (!failures.length) return;
+  console.error(`⚠️  Comment fetch failed for ${failures.length} post(s):`);
+  for (const failure of failures.slice(0, 10)) {
+    const label = failure.source ? `${failure.source}/${failure.post_id}` : failure.post_id;
+    console.error(`   ${label}: ${failure.status ? `HTTP ${failure.status}` : failure.error} after ${failure.attempts} attempt(s)`);
+  }
+  if (failures.length > 10) {
+    console.error(`   ...and ${failures.length - 10} more`);
+  }
+}
 
-  // Import from file
-  if (importPath) {
-    return await cmdGraphImport(importPath, options);
+/**
+ * Print schema issues (and repairs) from validation
+ */
+function reportValidation(report, formatLocation, limit = 10) {
+  const label = report.source ? `${report.source}: ` : '';
+  console.error(`${report.valid ? '✅' : '⚠️ '} ${label}${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  for (const issue of report.issues.slice(0, limit)) {
+    const location = formatLocation(issue);
+    console.error(`   ${issue.severity === 'error' ? '✗' : '!'} ${location ? `${location}: ` : ''}${issue.message}`);
   }
+  if (report.issues.length > limit) {
+    console.error(`   ...and ${report.issues.length - limit} more`);
+  }
+  if (report.repairs?.length) {
+    console.error(`   Repaired: ${report.repairs.length} change(s) (use --strict to reject instead)`);
+    for (const repair of report.repairs.slice(0, limit)) {
+      console.error(`     ${repair.kind}s[${repair.index}] ${repair.action}: ${repair.message}`);
+    }
+  }
+}
 
-  // Determine source
-  const source = options.source || 'amikonet';
+/**
+ * Load third-party source adapters (--adapters <dir|file|package> or SOCIAL_SOURCE_ADAPTERS)
+ */
+async function loadSources(options) {
+  const sources = await loadLib('sources');
+  const specifiers = [options.adapters, process.env.SOCIAL_SOURCE_ADAPTERS]
+    .filter(s => typeof s === 'string' && s.length > 0);
+  for (const specifier of specifiers) {
+    await sources.loadSourceAdapters(specifier);
+  }
+  return sources;
+}
+
+/**
+ * Collect data from one or more registered source adapters (AmikoNet, Moltbook, import, plugins)
+ */
+async function cmdGraphCollect(options) {
+  // --import is shorthand for the import adapter; --source accepts a comma-separated list
   const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  let sourceNames = [];
 
   try {
-    let result;
+    const { collectGraph, resolveSourceNames } = await loadSources(options);
+    sourceNames = resolveSourceNames({ ...options, importPath: options.import });
 
-    if (source === 'moltbook') {
-      console.error('🔍 Collecting data from Moltbook...');
-      const { collectFromMoltbook, saveGraphData } = await loadLib('collector');
-      result = await collectFromMoltbook({
-        apiKey: options.apiKey,
-        credentials: options.credentials,
-        toolsPath: options.toolsPath,
-        limit: options.limit,
-        sort: options.sort,
-        submolt: options.submolt,
-        baseUrl: options.baseUrl,
-        includeComments: options.includeComments,
-        commentsLimit: options.commentsLimit,
-        includeSubmolts: options.includeSubmolts,
-        includeTags: options.includeTags
-      });
-      await saveGraphData(result.posts, result.nodes, result.edges, socialPath);
+    if (options.import) {
+      console.error(`📥 Importing data from ${options.import}...`);
+    } else if (options.replay) {
+      console.error(`📼 Replaying ${sourceNames.join(' + ')} responses from ${options.replay}...`);
     } else {
-      console.error('🔍 Collecting data from AmikoNet...');
-      const { collectFromAmikoNet, saveGraphData } = await loadLib('collector');
-      result = await collectFromAmikoNet({ limit: options.limit });
-      await saveGraphData(result.posts, result.nodes, result.edges, socialPath);
+      console.error(`🔍 Collecting data from ${sourceNames.join(' + ')}...`);
+    }
+    if (options.record) {
+      console.error(`   Recording API responses to ${options.record}`);
     }
 
-    // Update metadata
-    const { updateCollection, updateGraphStats } = await import('./lib/metadata.js');
-    await updateCollection(source, socialPath);
-    await updateGraphStats(result.nodes.length, result.edges.length, socialPath);
+    let resumed = false;
+    const result = await collectGraph(socialPath, {
+      ...options,
+      ...requestOptions(options),
+      importPath: options.import,
+      linkIdentities: !options.noLink,
+      onResume: (name, since) => {
+        resumed = true;
+        console.error(`   ${name}: resuming from ${since} (use --full to re-crawl)`);
+      }
+    });
+    const { mode, saved } = result;
+    if (options.sort && options.sort !== 'new' && (options.since || resumed)) {
+      console.error(`⚠️  --sort ${options.sort} ignored: collecting since a date pages newest-first (use --full for a ${options.sort} crawl)`);
+    }
+    for (const entry of result.perSource.filter(e => e.truncated)) {
+      console.error(`⚠️  ${entry.source}: stopped at --max-pages before reaching the since date; high-water mark not advanced (raise --max-pages to catch up)`);
+    }
 
-    console.error(`✅ Collected ${result.nodes.length} agents, ${result.edges.length} relationships`);
-    console.error(`   Source: ${source}`);
+    const verb = options.import ? 'Imported' : 'Collected';
+    console.error(`✅ ${verb} ${result.nodes.length} agents, ${result.edges.length} relationships`);
+    console.error(`   Source: ${sourceNames.join(',')} (${mode})`);
+    if (result.perSource.length > 1) {
+      for (const entry of result.perSource) {
+        console.error(`   ${entry.source}: ${entry.nodes} agents, ${entry.edges} relationships, ${entry.posts} posts`);
+      }
+    }
+    if (result.pages) {
+      console.error(`   Pages fetched: ${result.pages}`);
+    }
+    if (mode === 'merge') {
+      console.error(`   New: ${saved.added.nodes} agents, ${saved.added.edges} relationships, ${saved.added.posts} posts`);
+      console.error(`   Graph total: ${saved.nodes.length} agents, ${saved.edges.length} relationships`);
+    }
+    if (saved.links?.length) {
+      console.error(`   Linked identities: ${saved.links.length}`);
+      for (const link of saved.links.slice(0, 10)) {
+        console.error(`     ${link.merged} → ${link.canonical} (${link.reason})`);
+      }
+    }
     console.error(`   Saved to ${socialPath}/`);
+    if (result.snapshot) {
+      console.error(`   Previous graph kept as snapshot ${result.snapshot.name} (see: social graph diff)`);
+    }
+    reportCommentFailures(result.commentFailures);
+    if (result.validation?.some(report => report.issues.length || report.repairs.length)) {
+      const { formatLocation } = await loadLib('schema');
+      result.validation.forEach(report => reportValidation(report, formatLocation));
+    }
 
-    return { success: true, ...result };
+    return { success: true, ...result, links: saved.links || [] };
 
   } catch (error) {
     console.error(`❌ Error: ${error.message}`);
-    if (source === 'amikonet') {
-      console.error(`💡 Tip: Use --import <path> to load from JSON/CSV file instead`);
+    if (sourceNames.includes('amikonet')) {
+      console.error(`💡 Tip: Use --import <path> to load from a graph file instead`);
     }
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Import graph data from JSON/CSV file (fallback for data collection)
+ * List registered collection sources
  */
-async function cmdGraphImport(importPath, options) {
-  console.error(`📥 Importing data from ${importPath}...`);
+async function cmdGraphSources(options) {
+  const { listSources } = await loadSources(options);
+  const sources = listSources();
+
+  console.error(`✅ Sources (${sources.length}):`);
+  for (const source of sources) {
+    console.error(`   ${source.name.padEnd(12)} ${source.description}`);
+  }
 
+  return { success: true, sources };
+}
+
+/**
+ * Import a graph file (JSON, GraphML, GEXF, JSON Lines, CSV) through the import adapter
+ */
+async function cmdGraphImport(options, file) {
+  const importPath = file || options.file || options.import;
+  if (!importPath || importPath === true) {
+    console.error('❌ Missing file. Example: social graph import graph.graphml');
+    return { success: false, error: 'Missing file' };
+  }
+  return cmdGraphCollect({ ...options, import: importPath });
+}
+
+/**
+ * Validate the stored graph (or a graph file) against the schema
+ */
+async function cmdGraphValidate(options, file) {
   const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
-  await fs.mkdir(socialPath, { recursive: true });
+  const { validateGraph, repairGraph, formatLocation } = await loadLib('schema');
+  const filePath = file || options.file;
+  let parsed;
+
+  if (filePath) {
+    const { getSource } = await loadLib('sources');
+    const { parseGraphFile } = await loadLib('importer');
+    const raw = await getSource('import').fetch({ importPath: filePath, format: options.format });
+    parsed = parseGraphFile(raw.content, raw.importPath, { format: raw.format, companion: raw.companion });
+    console.error(`🔎 Validating ${filePath}...`);
+  } else {
+    const readArray = async (name) => JSON.parse(await fs.readFile(path.join(socialPath, name), 'utf-8').catch(() => '[]'));
+    parsed = {
+      nodes: await readArray('nodes.json'),
+      edges: await readArray('edges.json'),
+      posts: await readArray('posts.json')
+    };
+    console.error(`🔎 Validating graph in ${socialPath}/...`);
+  }
 
-  try {
-    const ext = path.extname(importPath).toLowerCase();
-    let nodes = [];
-    let edges = [];
-    let posts = [];
-
-    if (ext === '.json') {
-      // Import from JSON
-      const content = await fs.readFile(importPath, 'utf-8');
-      const data = JSON.parse(content);
-
-      // Support different JSON structures
-      if (Array.isArray(data)) {
-        // Array of agents/posts
-        nodes = data.map(item => ({
-          id: item.did || item.id || `import-${Math.random().toString(36).substr(2, 9)}`,
-          name: item.name || 'Unknown',
-          handle: item.handle || `@${item.name?.replace(/\s/g, '').toLowerCase() || 'unknown'}`,
-          did: item.did || item.id,
-          privacy: 'graph'
-        }));
-      } else if (data.agents) {
-        // Agents format with optional edges
-        nodes = data.agents;
-        edges = data.edges || [];
-      } else if (data.nodes && data.edges) {
-        // Graph format
-        nodes = data.nodes;
-        edges = data.edges;
-      }
+  const { locations, issues, ...graph } = parsed;
+  const report = validateGraph(graph, { locations, issues });
+  console.error(`   ${graph.nodes.length} nodes, ${graph.edges.length} edges, ${(graph.posts || []).length} posts`);
+  reportValidation(report, formatLocation, options.limit ? Number(options.limit) : 20);
 
-      posts = data.posts || [];
-    } else if (ext === '.csv') {
-      // Import from CSV (simple format: name,handle,did)
-      const content = await fs.readFile(importPath, 'utf-8');
-      const lines = content.split('\n').slice(1); // Skip header
-
-      for (const line of lines) {
-        const [name, handle, did] = line.split(',').map(s => s?.trim());
-        if (!name) continue;
-
-        nodes.push({
-          id: did || `import-${Math.random().toString(36).substr(2, 9)}`,
-          name: name,
-          handle: handle || `@${name.replace(/\s/g, '').toLowerCase()}`,
-          did: did || '',
-          privacy: 'graph'
-        });
-      }
-    } else {
-      throw new Error(`Unsupported file type: ${ext}. Use .json or .csv`);
+  if (options.repair && !report.valid) {
+    if (filePath) {
+      console.error('❌ --repair only rewrites the stored graph; import the file instead');
+      return { success: false, ...report };
     }
+    const { saveGraphData } = await loadLib('collector');
+    const { saveSnapshot } = await loadLib('snapshots');
+    const { getWeightedEdges } = await loadLib('weights');
+    const { updateGraphStats } = await loadLib('metadata');
+    const { graph: repaired, repairs } = repairGraph(graph);
+
+    // Same path as a collect: keep the unrepaired graph for `graph diff`, then
+    // replace the stored graph (comments are kept as they are)
+    const snapshot = await saveSnapshot(socialPath);
+    const comments = JSON.parse(await fs.readFile(path.join(socialPath, 'comments.json'), 'utf-8').catch(() => '[]'));
+    const saved = await saveGraphData(repaired.posts || [], repaired.nodes, repaired.edges, socialPath, { mode: 'replace', comments });
+    await updateGraphStats(saved.nodes.length, saved.edges.length, socialPath);
+    await getWeightedEdges({ socialPath, refresh: true });
+
+    console.error(`🔧 Repaired graph: ${repairs.length} change(s) written to ${socialPath}/`);
+    if (snapshot) console.error(`   Previous graph kept as snapshot ${snapshot.name} (see: social graph diff)`);
+    return { success: true, ...report, repairs, snapshot };
+  }
 
-    // Save to storage
-    await fs.writeFile(
-      path.join(socialPath, 'nodes.json'),
-      JSON.stringify(nodes, null, 2),
-      'utf-8'
-    );
-
-    await fs.writeFile(
-      path.join(socialPath, 'edges.json'),
-      JSON.stringify(edges, null, 2),
-      'utf-8'
-    );
-
-    await fs.writeFile(
-      path.join(socialPath, 'posts.json'),
-      JSON.stringify(posts, null, 2),
-      'utf-8'
-    );
-
-    // Update metadata
-    const { updateCollection, updateGraphStats } = await import('./lib/metadata.js');
-    await updateCollection('import', socialPath);
-    await updateGraphStats(nodes.length, edges.length, socialPath);
-
-    console.error(`✅ Imported ${nodes.length} agents, ${edges.length} relationships`);
-    console.error(`   Saved to ${socialPath}/`);
+  return { success: report.valid, ...report };
+}
 
-    return { success: true, nodes, edges, posts };
+/**
+ * Export the graph for Gephi and other tools
+ */
+async function cmdGraphExport(options) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const { detectFormat, serializeGraph, csvNodesPath, FORMATS } = await loadLib('formats');
 
-  } catch (error) {
-    console.error(`❌ Import error: ${error.message}`);
-    return { success: false, error: error.message };
+  const format = options.output ? detectFormat(options.output, options.format) : detectFormat(null, options.format || 'graphml');
+  const output = options.output || path.join(socialPath, 'export', `graph${FORMATS[format].extensions[0]}`);
+
+  const readArray = async (name) => JSON.parse(await fs.readFile(path.join(socialPath, name), 'utf-8').catch(() => '[]'));
+  const graph = {
+    nodes: await readArray('nodes.json'),
+    edges: await readArray('edges.json'),
+    posts: await readArray('posts.json'),
+    comments: await readArray('comments.json')
+  };
+
+  if (graph.nodes.length === 0 && graph.edges.length === 0) {
+    console.error('❌ No graph data. Run: social graph collect first');
+    return { success: false, error: 'No graph data' };
   }
+
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  const serialized = serializeGraph(graph, format);
+  const files = [output];
+
+  if (format === 'csv') {
+    await fs.writeFile(output, serialized.edges);
+    await fs.writeFile(csvNodesPath(output), serialized.nodes);
+    files.push(csvNodesPath(output));
+  } else {
+    await fs.writeFile(output, serialized);
+  }
+
+  console.error(`✅ Exported ${graph.nodes.length} agents, ${graph.edges.length} relationships (${format})`);
+  if (!['json', 'jsonl'].includes(format)) {
+    console.error(`   Posts and comments are only included in json/jsonl exports`);
+  }
+  for (const file of files) {
+    console.error(`   Saved to ${file}`);
+  }
+
+  return { success: true, format, files, nodes: graph.nodes.length, edges: graph.edges.length };
 }
 
 /**
@@ -346,6 +502,7 @@ function generateGraphHTML(nodes, edges) {
     <label>Edge types</label>
     <label><input class="edgeType" type="checkbox" value="mention" checked /> Mentions</label>
     <label><input class="edgeType" type="checkbox" value="comment" checked /> Comments</label>
+    <label><input class="edgeType" type="checkbox" value="reply" checked /> Replies</label>
     <label><input class="edgeType" type="checkbox" value="tag" checked /> Tags</label>
     <label><input class="edgeType" type="checkbox" value="submolt" checked /> Submolts</label>
 
@@ -371,7 +528,14 @@ function generateGraphHTML(nodes, edges) {
       submolt: "#ff6b6b"
     };
 
+    // Nodes ranked by \`graph centrality --persist\` are sized by PageRank
+    const maxPageRank = d3.max(nodes, n => n.centrality?.pagerank) || 0;
+    const radius = (d) => (maxPageRank && d.centrality?.pagerank !== undefined ?
+      6 + 18 * Math.sqrt(d.centrality.pagerank / maxPageRank) :
+      15);
+
     const getNodeType = (n) => {
+      if (n.kind === "tag" || n.kind === "submolt") return n.kind;
       const id = n.id || n.handle || "";
       if (id.startsWith("#tag:")) return "tag";
       if (id.startsWith("#submolt:")) return "submolt";
@@ -387,13 +551,13 @@ function generateGraphHTML(nodes, edges) {
     const width = window.innerWidth;
     const height = window.innerHeight;
 
-    let links = buildLinks(new Set(["mention","comment","tag","submolt"]));
+    let links = buildLinks(new Set(["mention","comment","reply","tag","submolt"]));
 
     const simulation = d3.forceSimulation(nodes)
       .force("link", d3.forceLink(links).id(d => d.id || d.handle).distance(100))
       .force("charge", d3.forceManyBody().strength(-300))
       .force("center", d3.forceCenter(width / 2, height / 2))
-      .force("collision", d3.forceCollide().radius(30));
+      .force("collision", d3.forceCollide().radius(d => radius(d) + 15));
 
     const svg = d3.select("#graph").append("svg")
       .attr("width", width)
@@ -416,14 +580,14 @@ function generateGraphHTML(nodes, edges) {
         .on("end", dragended));
 
     node.append("circle")
-      .attr("r", 15)
+      .attr("r", radius)
       .attr("fill", d => {
         const t = getNodeType(d);
         return typeColor[t] || "#4dabf7";
       });
 
     node.append("text")
-      .attr("x", 20)
+      .attr("x", d => radius(d) + 5)
       .attr("y", 5)
       .text(d => d.name || d.handle);
 
@@ -460,6 +624,7 @@ function generateGraphHTML(nodes, edges) {
         <strong>\${d.name || d.handle}</strong><br/>
         \${d.handle || ''}<br/>
         Connections: \${links.filter(l => l.source.id === d.id || l.source.handle === d.handle || l.target.id === d.id || l.target.handle === d.handle).length}
+        \${d.centrality ? \`<br/>PageRank: \${d.centrality.pagerank.toFixed(4)} · Betweenness: \${d.centrality.betweenness.toFixed(1)}\` : ''}
       \`)
       .style("left", (event.pageX + 10) + "px")
       .style("top", (event.pageY - 10) + "px");
@@ -583,9 +748,16 @@ async function cmdGraphNetwork(options) {
   }
 
   const { getNeighbors } = await loadLib('graph-engine');
-  const result = await getNeighbors({ socialPath, node, hops });
+  const result = await getNeighbors({
+    socialPath,
+    node,
+    hops,
+    direction: options.direction,
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
+  });
 
-  console.error(`✅ Network for ${result.startKey} (${hops}-hop)`);
+  console.error(`✅ Network for ${result.startKey} (${hops}-hop${result.direction === 'both' ? '' : `, ${result.direction}`})${timeWindowLabel(options)}`);
   console.error(`   Nodes: ${result.nodes.length}, Edges: ${result.edges.length}`);
   return { success: true, ...result };
 }
@@ -604,14 +776,40 @@ async function cmdGraphPath(options) {
   }
 
   const { shortestPath } = await loadLib('graph-engine');
-  const result = await shortestPath({ socialPath, from, to });
+  const result = await shortestPath({
+    socialPath,
+    from,
+    to,
+    direction: options.direction,
+    weighted: Boolean(options.weighted),
+    k: options.k ? parseInt(options.k, 10) : 1,
+    edgeTypes: listOption(options.edgeTypes),
+    excludeTypes: listOption(options.excludeTypes),
+    excludeHubs: Boolean(options.excludeHubs),
+    excludeNodes: listOption(options.exclude),
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
+  });
 
   if (!result.path.length) {
-    console.error(`⚠️  No path found between ${result.fromKey} and ${result.toKey}`);
+    console.error(`⚠️  No path found between ${result.fromKey} and ${result.toKey}${timeWindowLabel(options)}`);
     return { success: true, ...result };
   }
 
-  console.error(`✅ Path (${result.path.length - 1} hops): ${result.path.join(' -> ')}`);
+  result.paths.forEach((entry, index) => {
+    const label = result.paths.length > 1 ? `Path ${index + 1}` : 'Path';
+    const strength = entry.strength !== undefined ? `, strength ${entry.strength.toFixed(3)}` : '';
+    console.error(`✅ ${label} (${entry.path.length - 1} hops${strength})${timeWindowLabel(options)}: ${entry.path.join(' -> ')}`);
+    for (const hop of entry.hops) {
+      console.error(`   ${hop.from} -> ${hop.to}`);
+      for (const edge of hop.edges.slice(0, 3)) {
+        const arrow = edge.from === hop.from ? '' : ' (reverse)';
+        const context = edge.context ? ` "${edge.context.slice(0, 60)}"` : '';
+        console.error(`      ${edge.type}${arrow}${context}${edge.timestamp ? ` @ ${edge.timestamp}` : ''}`);
+      }
+      if (hop.edges.length > 3) console.error(`      … ${hop.edges.length - 3} more`);
+    }
+  });
   return { success: true, ...result };
 }
 
@@ -629,9 +827,16 @@ async function cmdGraphCommon(options) {
   }
 
   const { commonNeighbors } = await loadLib('graph-engine');
-  const result = await commonNeighbors({ socialPath, a, b });
+  const result = await commonNeighbors({
+    socialPath,
+    a,
+    b,
+    direction: options.direction,
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
+  });
 
-  console.error(`✅ Common neighbors (${result.common.length}):`);
+  console.error(`✅ Common neighbors (${result.common.length})${timeWindowLabel(options)}:`);
   if (result.common.length) {
     console.error(`   ${result.common.join(', ')}`);
   }
@@ -639,6 +844,155 @@ async function cmdGraphCommon(options) {
   return { success: true, ...result };
 }
 
+/**
+ * Graph query: in-neighbors (followers) or out-neighbors (following)
+ */
+async function cmdGraphFollows(options, direction) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const node = options.node;
+  const top = options.top ? parseInt(options.top, 10) : 20;
+  const command = direction === 'in' ? 'followers' : 'following';
+
+  if (!node) {
+    console.error(`❌ Missing --node. Example: social graph ${command} --node @momo`);
+    return { success: false };
+  }
+
+  const engine = await loadLib('graph-engine');
+  const result = await engine[command]({ socialPath, node, kinds: options.kinds, ...timeWindowOptions(options) });
+
+  console.error(`✅ ${result.key}: ${result.inDegree} in, ${result.outDegree} out${timeWindowLabel(options)}`);
+  console.error(`   ${direction === 'in' ? 'Interacted with by' : 'Interacts with'} (${result.neighbors.length}):`);
+  for (const entry of result.neighbors.slice(0, top)) {
+    const types = Object.entries(entry.types).map(([type, count]) => `${type}×${count}`).join(', ');
+    console.error(`   ${entry.node} (${types})`);
+  }
+
+  return { success: true, ...result };
+}
+
+/**
+ * Graph query: reciprocity (one-sided vs mutual interactions)
+ */
+async function cmdGraphReciprocity(options) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const { reciprocity } = await loadLib('graph-engine');
+  const result = await reciprocity({ socialPath, node: options.node, kinds: options.kinds, ...timeWindowOptions(options) });
+  const percent = `${Math.round(result.reciprocity * 100)}%`;
+
+  if (options.node) {
+    console.error(`✅ Reciprocity for ${result.key}${timeWindowLabel(options)}: ${percent}`);
+    console.error(`   Mutual (${result.mutual.length}): ${result.mutual.join(', ')}`);
+    console.error(`   Outgoing only (${result.outgoingOnly.length}): ${result.outgoingOnly.join(', ')}`);
+    console.error(`   Incoming only (${result.incomingOnly.length}): ${result.incomingOnly.join(', ')}`);
+  } else {
+    console.error(`✅ Reciprocity${timeWindowLabel(options)}: ${percent} (${result.mutualPairs} of ${result.pairs} linked pairs interact both ways)`);
+  }
+
+  return { success: true, ...result };
+}
+
+/**
+ * Graph query: aggregated interaction weights per pair
+ */
+async function cmdGraphWeights(options) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const top = options.top ? parseInt(options.top, 10) : 20;
+
+  const { computeEdgeWeights, getWeightedEdges } = await loadLib('weights');
+  const halfLifeDays = options.halfLife !== undefined ? parseFloat(options.halfLife) : undefined;
+  if (halfLifeDays !== undefined && (Number.isNaN(halfLifeDays) || halfLifeDays < 0)) {
+    console.error('❌ --half-life must be a number of days (0 disables decay)');
+    return { success: false };
+  }
+
+  const weightedEdges = halfLifeDays !== undefined ?
+    (await computeEdgeWeights({ socialPath, halfLifeDays })).edges :
+    await getWeightedEdges({ socialPath, refresh: Boolean(options.refresh) });
+
+  const node = options.node;
+  const sorted = weightedEdges
+    .filter(e => !node || e.from === node || e.to === node)
+    .sort((a, b) => b.weight - a.weight)
+    .slice(0, top);
+
+  console.error(`✅ Weighted edges: ${weightedEdges.length} pairs${node ? ` (showing ${node})` : ''}`);
+  for (const e of sorted) {
+    const types = Object.entries(e.types).map(([type, count]) => `${type}×${count}`).join(', ');
+    console.error(`   ${e.from} -> ${e.to}: ${e.weight.toFixed(3)} (strength ${e.strength.toFixed(2)}; ${types})`);
+  }
+
+  return { success: true, pairs: weightedEdges.length, results: sorted };
+}
+
+/**
+ * List the graph snapshots kept from before each collection
+ */
+async function cmdGraphSnapshots(options) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const { listSnapshots } = await loadLib('snapshots');
+  const snapshots = await listSnapshots(socialPath);
+
+  if (!snapshots.length) {
+    console.error('⚠️  No snapshots yet. One is kept before each graph collect/import.');
+    return { success: true, snapshots };
+  }
+
+  console.error(`✅ Snapshots (${snapshots.length}, newest first):`);
+  snapshots.forEach((snapshot, index) => console.error(`   ${index + 1}. ${snapshot.name}`));
+
+  return { success: true, snapshots };
+}
+
+/**
+ * Compare two versions of the graph: by default the newest snapshot with the current graph
+ */
+async function cmdGraphDiff(options, from, to) {
+  const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const top = options.top ? parseInt(options.top, 10) : 10;
+
+  const { diffSnapshots } = await loadLib('graph-diff');
+  const diff = await diffSnapshots({
+    socialPath,
+    from: from || options.from || '1',
+    to: to || options.to || 'current',
+    kinds: options.kinds
+  });
+
+  if (options.json) {
+    await printJson(diff);
+    return { success: true, diff };
+  }
+
+  const signed = (value, digits = 0) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+  const types = (pair) => Object.entries(pair.types).map(([type, count]) => `${type}×${count}`).join(', ');
+  const section = (title, items, format) => {
+    if (!items.length) return;
+    console.error(`   ${title} (${items.length}):`);
+    items.slice(0, top).forEach(item => console.error(`     ${format(item)}`));
+    if (items.length > top) console.error(`     … ${items.length - top} more (--top, or --json for all)`);
+  };
+
+  const { counts } = diff;
+  const noun = options.kinds ? 'nodes' : 'agents';
+  console.error(`✅ Graph diff: ${diff.from.label} -> ${diff.to.label}`);
+  console.error(`   ${noun[0].toUpperCase()}${noun.slice(1)}: ${counts.nodes.before} -> ${counts.nodes.after}, relationships: ${counts.edges.before} -> ${counts.edges.after}`);
+  section(`New ${noun}`, diff.nodes.added, key => key);
+  section(`Removed ${noun}`, diff.nodes.removed, key => key);
+  section('New relationships', diff.relationships.added, pair => `${pair.from} -> ${pair.to} (${types(pair)})`);
+  section('Lost relationships', diff.relationships.removed, pair => `${pair.from} -> ${pair.to} (${types(pair)})`);
+  section('Weight changes', diff.weights, e => `${e.from} -> ${e.to}: ${e.before.toFixed(3)} -> ${e.after.toFixed(3)} (${signed(e.change, 3)})`);
+  section('PageRank movers', diff.ranks, r => `${r.node}: #${r.before} -> #${r.after} (${signed(r.change)})`);
+
+  const changes = diff.nodes.added.length + diff.nodes.removed.length + diff.relationships.added.length +
+    diff.relationships.removed.length + diff.weights.length + diff.ranks.length;
+  if (!changes) {
+    console.error('   No changes');
+  }
+
+  return { success: true, diff };
+}
+
 /**
  * Graph query: centrality metrics
  */
@@ -647,24 +1001,78 @@ async function cmdGraphCentrality(options) {
   const metric = options.metric || 'pagerank';
   const top = options.top ? parseInt(options.top, 10) : 10;
 
-  const { degreeCentrality, pageRank, betweennessCentrality } = await loadLib('centrality');
-  let scores = {};
+  const { centrality, persistCentrality, CENTRALITY_METRICS } = await loadLib('centrality');
+  const samples = options.samples ? parseInt(options.samples, 10) : undefined;
+  if (samples !== undefined && !(samples > 0)) {
+    console.error('❌ --samples must be a positive number of source nodes');
+    return { success: false };
+  }
 
-  if (metric === 'degree') {
-    scores = await degreeCentrality({ socialPath });
-  } else if (metric === 'betweenness') {
-    scores = await betweennessCentrality({ socialPath });
-  } else {
-    scores = await pageRank({ socialPath });
+  const entry = CENTRALITY_METRICS[metric];
+  const weighted = Boolean(options.weighted) && Boolean(entry?.weighted);
+  if (options.weighted && entry && !entry.weighted) {
+    console.error(`⚠️  --weighted does not apply to ${metric} (hop distances); ignoring it`);
+  }
+  if (samples && entry && !entry.sampled) {
+    console.error(`⚠️  --samples only applies to ${Object.keys(CENTRALITY_METRICS).filter(m => CENTRALITY_METRICS[m].sampled).join(', ')}; ignoring it`);
   }
 
-  const sorted = Object.entries(scores).sort((a, b) => b[1] - a[1]).slice(0, top);
-  console.error(`✅ Centrality (${metric}) top ${top}:`);
+  // PageRank only: --directed, --personalize, --tolerance, --iterations
+  const pagerank = metric === 'pagerank';
+  const personalize = pagerank ? listOption(options.personalize) || [] : [];
+  if (!pagerank && (options.personalize || options.directed || options.tolerance)) {
+    console.error('⚠️  --personalize, --directed and --tolerance only apply to pagerank; ignoring them');
+  }
+  const tolerance = options.tolerance !== undefined ? parseFloat(options.tolerance) : undefined;
+  if (pagerank && tolerance !== undefined && !(tolerance > 0)) {
+    console.error('❌ --tolerance must be a positive number (e.g. 1e-6)');
+    return { success: false };
+  }
+
+  const result = await centrality({
+    socialPath,
+    metric,
+    weighted,
+    samples: entry?.sampled ? samples : undefined,
+    ...(pagerank ? {
+      directed: Boolean(options.directed),
+      personalize,
+      tolerance,
+      iterations: options.iterations ? parseInt(options.iterations, 10) : undefined
+    } : {}),
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
+  });
+
+  // Personalized PageRank: the seeds themselves always come first, so list the rest
+  const seeds = new Set(result.seeds || []);
+  const sorted = Object.entries(result.scores)
+    .filter(([node]) => !seeds.has(node))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, top);
+
+  const flavor = [weighted && 'weighted', pagerank && options.directed && 'directed', personalize.length && 'personalized']
+    .filter(Boolean).join(' ');
+  const sampled = entry.sampled && samples && samples < Object.keys(result.scores).length ? `, ${samples} sampled sources` : '';
+  const from = seeds.size ? ` for ${Array.from(seeds).join(', ')}` : '';
+  console.error(`✅ Centrality (${flavor ? `${flavor} ` : ''}${metric}${sampled})${from} top ${top}${timeWindowLabel(options)}:`);
+  if (result.iterations !== undefined) {
+    console.error(`   ${result.converged ? 'Converged' : '⚠️  Did not converge'} after ${result.iterations} iterations`);
+  }
   for (const [node, score] of sorted) {
     console.error(`   ${node}: ${score.toFixed ? score.toFixed(4) : score}`);
   }
 
-  return { success: true, metric, top, results: sorted };
+  // Scores for a past window or a personal point of view don't describe the graph as it is
+  let persisted = null;
+  if (options.persist && (timeWindowLabel(options) || seeds.size)) {
+    console.error('⚠️  --persist skipped: scores for a time window or --personalize are not saved');
+  } else if (options.persist) {
+    persisted = await persistCentrality({ socialPath, weighted: Boolean(options.weighted), samples, kinds: options.kinds });
+    console.error(`   Saved pagerank, betweenness and degree to ${persisted.updated} nodes in nodes.json`);
+  }
+
+  return { success: true, metric, weighted, top, iterations: result.iterations, converged: result.converged, results: sorted, persisted };
 }
 
 /**
@@ -672,32 +1080,84 @@ async function cmdGraphCentrality(options) {
  */
 async function cmdGraphCommunities(options) {
   const socialPath = options.socialPath || DEFAULT_SOCIAL_PATH;
+  const algorithm = options.algorithm || 'louvain';
   const iterations = options.iterations ? parseInt(options.iterations, 10) : 10;
 
-  const { labelPropagation } = await loadLib('communities');
-  const labels = await labelPropagation({ socialPath, iterations });
+  const { detectCommunities, persistCommunities, COMMUNITY_ALGORITHMS } = await loadLib('communities');
+  if (!COMMUNITY_ALGORITHMS.includes(algorithm)) {
+    console.error(`❌ Unknown --algorithm ${algorithm} (use ${COMMUNITY_ALGORITHMS.join(' or ')})`);
+    return { success: false };
+  }
+  const resolution = options.resolution !== undefined ? parseFloat(options.resolution) : 1;
+  if (!(resolution > 0)) {
+    console.error('❌ --resolution must be a positive number (default 1; higher finds smaller communities)');
+    return { success: false };
+  }
+  if (algorithm === 'louvain' && options.iterations) {
+    console.error('⚠️  --iterations only applies to label-propagation; ignoring it');
+  }
+  if (algorithm !== 'louvain' && options.seed) {
+    console.error('⚠️  --seed only applies to louvain; ignoring it');
+  }
 
-  // Persist community labels into nodes.json
-  const nodesPath = path.join(socialPath, 'nodes.json');
-  const nodes = await fs.readFile(nodesPath, 'utf-8').then(JSON.parse).catch(() => []);
-  const updatedNodes = nodes.map(n => {
-    const key = n.handle || n.id || n.did;
-    return { ...n, community: labels[key] || n.community };
+  const windowLabel = timeWindowLabel(options);
+  const result = await detectCommunities({
+    socialPath,
+    algorithm,
+    iterations,
+    resolution,
+    seed: options.seed ? parseInt(options.seed, 10) : undefined,
+    weighted: Boolean(options.weighted),
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
   });
-  await fs.writeFile(nodesPath, JSON.stringify(updatedNodes, null, 2), 'utf-8');
+  const { labels } = result;
 
-  const groups = {};
-  for (const [node, label] of Object.entries(labels)) {
-    if (!groups[label]) groups[label] = [];
-    groups[label].push(node);
-  }
+  // Persist community labels into nodes.json (not for a time window: those are a view of the past)
+  if (!windowLabel) await persistCommunities(socialPath, labels);
 
-  console.error(`✅ Communities found: ${Object.keys(groups).length}`);
-  Object.entries(groups).slice(0, 10).forEach(([label, members]) => {
-    console.error(`   ${label}: ${members.length} members`);
+  const { profileCommunities, saveCommunityProfiles } = await loadLib('community-profiles');
+  const profiles = await profileCommunities({
+    socialPath,
+    labels,
+    weighted: Boolean(options.weighted),
+    kinds: options.kinds,
+    ...timeWindowOptions(options)
   });
+  if (!windowLabel) {
+    await saveCommunityProfiles(socialPath, { algorithm, modularity: result.modularity, profiles });
+  }
+
+  console.error(`✅ Communities found (${algorithm}): ${profiles.length}${windowLabel}${windowLabel ? ' (labels not saved)' : ''}`);
+  console.error(`   Modularity: ${result.modularity.toFixed(4)}${resolution !== 1 ? ` at resolution ${resolution}` : ''}`);
+
+  // --node: just the community that agent belongs to
+  let shown = profiles.slice(0, options.top ? parseInt(options.top, 10) : 10);
+  if (options.node) {
+    const { loadGraphStore } = await loadLib('graph-store');
+    const key = (await loadGraphStore(socialPath)).resolve(options.node);
+    const profile = profiles.find(p => p.id === labels[key]);
+    if (!profile) {
+      console.error(`❌ ${options.node} is not in any community${key ? ' (check --kinds and the time window)' : ' (node not found)'}`);
+      return { success: false };
+    }
+    console.error(`   ${key} belongs to "${profile.label}"`);
+    shown = [profile];
+  }
+
+  const names = (entries, prefix = '') => entries.map(e => `${prefix}${e.name} (${e.members})`).join(', ');
+  for (const profile of shown) {
+    console.error(`\n   ${profile.label}: ${profile.size} members, density ${profile.density.toFixed(2)}`);
+    console.error(`      Top members: ${profile.members.map(m => m.node).join(', ')}`);
+    if (profile.tags.length) console.error(`      Tags: ${names(profile.tags, '#')}`);
+    if (profile.submolts.length) console.error(`      Submolts: ${names(profile.submolts)}`);
+    if (profile.keywords.length) console.error(`      Keywords: ${profile.keywords.map(k => k.word).join(', ')}`);
+    for (const bridge of profile.bridges.slice(0, 3)) {
+      console.error(`      Bridge to ${bridge.label}: ${bridge.links} link${bridge.links === 1 ? '' : 's'} via ${bridge.via.join(', ')}`);
+    }
+  }
 
-  return { success: true, communities: groups };
+  return { success: true, algorithm, modularity: result.modularity, communities: profiles };
 }
 
 /**
@@ -982,11 +1442,21 @@ Commands:
   baseline              Generate your baseline profile
   feed                  Get your smart feed
   graph collect         Collect data from network (default: amikonet)
+  graph sources         List registered collection sources
+  graph import <file>   Import a graph file (JSON, GraphML, GEXF, JSON Lines, CSV)
+  graph validate [file] Check the stored graph (or a file) for schema errors, dangling edges, duplicates
+  graph export          Export the graph (--format graphml | gexf | jsonl | csv | json)
   graph network         Show k-hop network around a node
   graph path            Show shortest path between two nodes
   graph common          Show common neighbors between two nodes
+  graph followers       Show who interacts with a node (in-neighbors)
+  graph following       Show who a node interacts with (out-neighbors)
+  graph reciprocity     Show mutual vs one-sided interactions (graph-wide or --node)
+  graph weights         Show aggregated interaction weights per pair
+  graph snapshots       List graph snapshots (one is kept before each collect/import)
+  graph diff [from] [to] Compare the graph with a snapshot (default: newest snapshot -> current)
   graph centrality      Show centrality scores
-  graph communities     Detect communities
+  graph communities     Detect communities and profile them (label, top members, tags, keywords, bridges)
   graph visualize       View the social graph
   solana challenge      Create wallet-binding challenge
   solana bind           Verify wallet signature and bind wallet
@@ -1002,16 +1472,66 @@ Options:
   --did <did>           Agent DID
   --memory-days <n>     Days of memory to include
 
-  --source <source>     Data source: amikonet (default) | moltbook | import
+  --source <source>     Data source(s): amikonet (default) | moltbook | import | <plugin>
+                        Comma-separate to collect several into one graph
+  --aliases <path>      Alias map for identity linking (default: <social-path>/aliases.json)
+  --no-link             Skip cross-network identity linking
+  --verified-mentions   Drop @mentions that match no known agent
   --limit <n>           Limit results (for collect)
-  --sort <sort>         Sort order: new | top (for moltbook)
+  --sort <sort>         Sort order: new | top (for moltbook; always new with --since or a resumed crawl)
   --submolt <name>      Filter by submolt (for moltbook)
-  --include-comments    Include comment edges (moltbook)
-  --comments-limit <n>  Max comments per post (moltbook)
+  --include-comments    Include comment and reply edges (moltbook, amikonet)
+  --comments-limit <n>  Max comments per post (moltbook, amikonet)
   --include-submolts    Include submolt edges (moltbook)
-  --include-tags        Include hashtag edges (moltbook)
-
-  --import <path>       Import graph data from JSON/CSV file
+  --include-tags        Include hashtag edges (moltbook, amikonet)
+  --since <iso-date>    Only collect posts newer than this date (moltbook, amikonet)
+  --max-pages <n>       Max pages to follow (moltbook, amikonet; default 1, or 20 with --since)
+  --full                Ignore the stored high-water mark and re-crawl
+  --record <dir>        Save raw API responses to <dir> as fixtures
+  --replay <dir>        Collect from fixtures in <dir> instead of the network (no auth needed)
+  --retries <n>         Retries for 429/5xx/network errors (default 3)
+  --retry-delay <ms>    Base backoff delay, doubled per retry (default 500)
+  --concurrency <n>     Comment threads fetched in parallel (default 5)
+  --replace             Overwrite the stored graph instead of merging into it
+  --merge               Merge into the stored graph (default, except for --import)
+  --keep-snapshots <n>  Snapshots of the previous graph to keep for graph diff (default 10, 0 = none)
+  --adapters <path>     Load extra source adapters from a directory, file or package
+
+  --import <path>       Import graph data from a JSON, GraphML, GEXF, JSON Lines or CSV file
+  --strict              Reject an import with any schema error (default: repair and report)
+  --repair              With graph validate: fix the stored graph in place
+  --format <format>     Import/export format (default: from the file extension; export: graphml)
+  --output <path>       Export file (default: <social-path>/export/graph.<ext>)
+  --direction <dir>     Edge direction for network/path/common: out | in | both (default)
+  --k <n>               With graph path: show up to n alternative paths
+  --edge-types <list>   With graph path: only traverse these edge types (e.g. comment,proof)
+  --exclude-types <list> With graph path: never traverse these edge types
+  --exclude-hubs        With graph path: don't route through #tag/#submolt nodes
+  --exclude <list>      With graph path: handles to route around
+  --kinds <list>        Node kinds for graph queries, centrality and communities:
+                        agent (default), tag, submolt, wallet, or all
+  --since <date|dur>    With graph queries, centrality, communities: only interactions since
+                        an ISO date or a duration back from now (7d, 12h, 4w)
+  --until <date|dur>    ... only interactions up to this time
+  --as-of <date|dur>    ... the graph as it stood at this time
+  --metric <name>       With graph centrality: pagerank (default), degree, betweenness, closeness,
+                        harmonic, eigenvector, hub, authority (HITS)
+  --samples <n>         With betweenness/closeness/harmonic: estimate from n random source nodes
+  --personalize <list>  With pagerank: personalized PageRank from these handles (e.g. your own)
+  --directed            With pagerank: rank flows only from the agent who acted to the one addressed
+  --persist             With graph centrality: save pagerank, betweenness and degree on each node
+                        (used by the feed and graph visualize)
+  --tolerance <x>       With pagerank: stop once an iteration changes ranks by less than x (default 1e-6)
+  --iterations <n>      With pagerank: at most n iterations (default 100); label-propagation: rounds (default 10)
+  --algorithm <name>    With graph communities: louvain (default) or label-propagation
+  --resolution <x>      With louvain: above 1 finds smaller communities, below 1 larger (default 1)
+  --seed <n>            With louvain: random seed; the same seed gives the same communities (default 1)
+  --weighted            Use interaction weights (path, communities, centrality except
+                        betweenness/closeness/harmonic)
+  --half-life <days>    With graph weights: rebuild with this decay half-life (default 30, 0 = none)
+  --refresh             With graph weights: rebuild weighted-edges.json from edges.json
+  --from, --to <ref>    With graph diff: a snapshot name, number (1 = newest), file path, or current
+  --json                With graph diff: print the full diff as JSON on stdout
   --api-key <key>       API key (for moltbook)
   --credentials <path>  Credentials file (for moltbook)
   --tools-path <path>   Path to TOOLS.md (for moltbook)
@@ -1036,17 +1556,52 @@ Examples:
   # Moltbook
   social graph collect --source moltbook --limit 50 --sort new
   social graph collect --source moltbook --tools-path ~/clawd-work/TOOLS.md
+  social graph collect --source moltbook --since 2026-01-01T00:00:00Z --max-pages 10
+
+  # Several networks into one graph
+  social graph collect --source amikonet,moltbook
+
+  # Record a live run, then replay it offline
+  social graph collect --source moltbook --record fixtures/moltbook
+  social graph collect --source moltbook --replay fixtures/moltbook --social-path /tmp/social
 
   # Import from file
   social graph collect --import data.json
+  social graph import graph.gexf
+  social graph import graph.csv --strict
+  social graph validate
+
+  # What changed since the last collection
+  social graph diff
+  social graph snapshots
+  social graph diff 3 1 --json > diff.json      # between two older snapshots
+
+  # Export for Gephi
+  social graph export --format gexf --output graph.gexf
+  social graph export --format csv --output graph.csv    # writes graph.csv + graph.nodes.csv
 
   # Visualization
   social graph visualize
   social graph network --node @momo --hops 2
   social graph path --from @a --to @b
   social graph common --a @a --b @b
-  social graph centrality --metric pagerank --top 10
-  social graph communities --iterations 10
+  social graph path --from @a --to @b --direction out
+  social graph path --from @a --to @b --weighted --k 3 --edge-types comment,reply,proof
+  social graph followers --node @momo
+  social graph reciprocity --node @momo
+  social graph network --node @momo --kinds agent,tag
+  social graph network --node @momo --hops 2 --as-of 2026-09-01
+  social graph centrality --metric pagerank --since 7d
+  social graph weights --node @momo --top 10
+  social graph centrality --metric pagerank --top 10 --weighted
+  social graph centrality --metric betweenness --samples 500
+  social graph centrality --persist --samples 500   # feed influence + visualization node size
+  social graph centrality --metric pagerank --personalize @momo --directed --weighted
+  social graph centrality --metric authority     # who gets cited (--metric hub: who amplifies)
+  social graph communities --weighted
+  social graph communities --node @momo             # the community @momo belongs to
+  social graph communities --resolution 2 --seed 7   # smaller communities
+  social graph communities --algorithm label-propagation --iterations 10
 
   # Solana integration
   social solana challenge --handle @momo --wallet <pubkey>
@@ -1073,12 +1628,32 @@ Examples:
         const subCommand = positional[0];
         if (subCommand === 'collect') {
           result = await cmdGraphCollect(options);
+        } else if (subCommand === 'import') {
+          result = await cmdGraphImport(options, positional[1]);
+        } else if (subCommand === 'validate') {
+          result = await cmdGraphValidate(options, positional[1]);
+        } else if (subCommand === 'export') {
+          result = await cmdGraphExport(options);
+        } else if (subCommand === 'sources') {
+          result = await cmdGraphSources(options);
         } else if (subCommand === 'network') {
           result = await cmdGraphNetwork(options);
         } else if (subCommand === 'path') {
           result = await cmdGraphPath(options);
         } else if (subCommand === 'common') {
           result = await cmdGraphCommon(options);
+        } else if (subCommand === 'followers') {
+          result = await cmdGraphFollows(options, 'in');
+        } else if (subCommand === 'following') {
+          result = await cmdGraphFollows(options, 'out');
+        } else if (subCommand === 'reciprocity') {
+          result = await cmdGraphReciprocity(options);
+        } else if (subCommand === 'weights') {
+          result = await cmdGraphWeights(options);
+        } else if (subCommand === 'snapshots') {
+          result = await cmdGraphSnapshots(options);
+        } else if (subCommand === 'diff') {
+          result = await cmdGraphDiff(options, positional[1], positional[2]);
         } else if (subCommand === 'centrality') {
           result = await cmdGraphCentrality(options);
         } else if (subCommand === 'communities') {
@@ -5,7 +5,6 @@
 
 import path from 'path';
 import os from 'os';
-import fs from 'fs/promises';
 import { execFile } from 'child_process';
 import { fileURLToPath } from 'url';
 
@@ -18,6 +17,18 @@ async function loadLib(name) {
   return (await import(`file://${modulePath}`));
 }
 
+/**
+ * Map snake_case tool arguments onto the camelCase options adapters expect
+ */
+function toCollectOptions(args) {
+  const options = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (value === undefined) continue;
+    options[key.replace(/_([a-z])/g, (_, c) => c.toUpperCase())] = value;
+  }
+  return options;
+}
+
 function runCli(args) {
   return new Promise((resolve, reject) => {
     execFile('node', [path.join(__dirname, 'cli.js'), ...args], (err, stdout, stderr) => {
@@ -83,15 +94,17 @@ export default {
     },
 
     social_collect_graph: {
-      description: 'Collect graph data from AmikoNet, Moltbook, or import file',
+      description: 'Collect graph data from a registered source (AmikoNet, Moltbook, import file, or plugin adapters)',
       parameters: {
         type: 'object',
         properties: {
-          source: { type: 'string', enum: ['amikonet', 'moltbook', 'import'] },
+          source: { type: 'string', description: 'amikonet | moltbook | import | plugin adapter name; comma-separate for several' },
           limit: { type: 'number' },
           sort: { type: 'string' },
           submolt: { type: 'string' },
           import_path: { type: 'string' },
+          strict: { type: 'boolean', description: 'Reject an import with any schema error instead of repairing it' },
+          format: { type: 'string', description: 'Import file format when the extension is ambiguous: json | jsonl | graphml | gexf | csv' },
           api_key: { type: 'string' },
           credentials: { type: 'string' },
           tools_path: { type: 'string' },
@@ -100,49 +113,54 @@ export default {
           comments_limit: { type: 'number' },
           include_submolts: { type: 'boolean' },
           include_tags: { type: 'boolean' },
+          since: { type: 'string' },
+          max_pages: { type: 'number' },
+          full: { type: 'boolean' },
+          record: { type: 'string', description: 'Directory to save raw API responses to' },
+          replay: { type: 'string', description: 'Directory of recorded responses to collect from offline' },
+          retries: { type: 'number' },
+          concurrency: { type: 'number' },
+          replace: { type: 'boolean' },
+          merge: { type: 'boolean' },
+          adapters: { type: 'string' },
+          aliases_path: { type: 'string' },
+          link_identities: { type: 'boolean' },
+          verified_mentions: { type: 'boolean', description: 'Drop @mentions that match no known agent' },
           social_path: { type: 'string' }
         }
       },
       async execute(args) {
         const socialPath = args.social_path || DEFAULT_SOCIAL_PATH;
+        const sources = await loadLib('sources');
 
-        if (args.import_path) {
-          const content = await fs.readFile(args.import_path, 'utf-8');
-          const data = JSON.parse(content);
-          const nodes = data.nodes || data.agents || [];
-          const edges = data.edges || [];
-          const posts = data.posts || [];
-          await fs.mkdir(socialPath, { recursive: true });
-          await fs.writeFile(path.join(socialPath, 'nodes.json'), JSON.stringify(nodes, null, 2));
-          await fs.writeFile(path.join(socialPath, 'edges.json'), JSON.stringify(edges, null, 2));
-          await fs.writeFile(path.join(socialPath, 'posts.json'), JSON.stringify(posts, null, 2));
-          return { success: true, data: { nodes: nodes.length, edges: edges.length, posts: posts.length } };
-        }
-
-        const source = args.source || 'amikonet';
-        const { collectFromAmikoNet, collectFromMoltbook, saveGraphData } = await loadLib('collector');
+        const adapters = args.adapters || process.env.SOCIAL_SOURCE_ADAPTERS;
+        if (adapters) await sources.loadSourceAdapters(adapters);
 
-        if (source === 'moltbook') {
-          const result = await collectFromMoltbook({
-            apiKey: args.api_key,
-            credentials: args.credentials,
-            toolsPath: args.tools_path,
-            limit: args.limit,
-            sort: args.sort,
-            submolt: args.submolt,
-            baseUrl: args.base_url,
-            includeComments: args.include_comments,
-            commentsLimit: args.comments_limit,
-            includeSubmolts: args.include_submolts,
-            includeTags: args.include_tags
-          });
-          await saveGraphData(result.posts, result.nodes, result.edges, socialPath);
-          return { success: true, data: { nodes: result.nodes.length, edges: result.edges.length } };
+        if (args.record && args.replay) {
+          return { success: false, error: 'Use either record or replay, not both.' };
         }
 
-        const result = await collectFromAmikoNet({ limit: args.limit || 100 });
-        await saveGraphData(result.posts, result.nodes, result.edges, socialPath);
-        return { success: true, data: { nodes: result.nodes.length, edges: result.edges.length } };
+        // Same pipeline as `graph collect`, including metadata.json updates
+        const { aliasesPath, ...options } = toCollectOptions(args);
+        const result = await sources.collectGraph(socialPath, { ...options, aliases: aliasesPath });
+        const { sourceNames, mode, saved } = result;
+
+        return {
+          success: true,
+          data: {
+            source: sourceNames.join(','),
+            per_source: result.perSource,
+            links: saved.links || [],
+            mode,
+            nodes: saved.nodes.length,
+            edges: saved.edges.length,
+            posts: saved.posts.length,
+            added: saved.added,
+            snapshot: result.snapshot?.name || null,
+            comment_failures: result.commentFailures || [],
+            validation: result.validation || []
+          }
+        };
       }
     },
 
@@ -161,8 +179,67 @@ export default {
       }
     },
 
+    social_export_graph: {
+      description: 'Export the graph as GraphML, GEXF, JSON Lines, edge-list CSV or JSON',
+      parameters: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', description: 'graphml (default) | gexf | jsonl | csv | json' },
+          output: { type: 'string', description: 'Output file (default: <social_path>/export/graph.<ext>)' },
+          social_path: { type: 'string' }
+        }
+      },
+      async execute(args) {
+        const socialPath = args.social_path || DEFAULT_SOCIAL_PATH;
+        const cliArgs = ['graph', 'export', '--social-path', socialPath];
+        if (args.format) cliArgs.push('--format', args.format);
+        if (args.output) cliArgs.push('--output', args.output);
+        await runCli(cliArgs);
+        return { success: true, data: { social_path: socialPath, format: args.format || 'graphml', output: args.output || null } };
+      }
+    },
+
+    social_graph_diff: {
+      description: 'What changed between two versions of the graph: new/removed agents, new/lost relationships, weight changes and PageRank movers',
+      parameters: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', description: 'Snapshot name, number (1 = newest, the default), file path, or current' },
+          to: { type: 'string', description: 'Same as from (default current)' },
+          kinds: { type: 'array', items: { type: 'string', enum: ['agent', 'tag', 'submolt', 'wallet', 'all'] }, description: 'Node kinds to compare (default agent)' },
+          social_path: { type: 'string' }
+        }
+      },
+      async execute(args) {
+        const socialPath = args.social_path || DEFAULT_SOCIAL_PATH;
+        const { diffSnapshots } = await loadLib('graph-diff');
+        return { success: true, data: await diffSnapshots({ socialPath, from: args.from, to: args.to, kinds: args.kinds }) };
+      }
+    },
+
+    social_communities: {
+      description: 'Communities from the last graph communities run: auto-label, size, top members, dominant tags/submolts, keywords, density and bridges; with node, the community that agent belongs to',
+      parameters: {
+        type: 'object',
+        properties: {
+          node: { type: 'string', description: 'Handle whose community to return' },
+          social_path: { type: 'string' }
+        }
+      },
+      async execute(args) {
+        const socialPath = args.social_path || DEFAULT_SOCIAL_PATH;
+        const { loadCommunityProfiles, communityOf } = await loadLib('community-profiles');
+        if (args.node) {
+          const community = await communityOf(socialPath, args.node);
+          return community ? { success: true, data: community } : { success: false, error: `${args.node} has no community yet (run graph communities)` };
+        }
+        const saved = await loadCommunityProfiles(socialPath);
+        return saved ? { success: true, data: saved } : { success: false, error: 'No community profiles yet (run graph communities first)' };
+      }
+    },
+
     social_find_connections: {
-      description: 'Find neighbors or common connections in the graph',
+      description: 'Find neighbors, common connections or introduction paths in the graph, optionally by edge direction, or reciprocity for a node',
       parameters: {
         type: 'object',
         properties: {
@@ -170,21 +247,55 @@ export default {
           hops: { type: 'number' },
           a: { type: 'string' },
           b: { type: 'string' },
+          direction: { type: 'string', enum: ['out', 'in', 'both'], description: 'out: who the node interacts with; in: who interacts with it (default both)' },
+          reciprocity: { type: 'boolean', description: 'With node: split contacts into mutual, outgoing-only and incoming-only' },
+          from: { type: 'string', description: 'Path start (with to)' },
+          to: { type: 'string', description: 'Path end (with from)' },
+          weighted: { type: 'boolean', description: 'With from+to: prefer strong interaction ties' },
+          k: { type: 'number', description: 'With from+to: number of alternative paths' },
+          edge_types: { type: 'array', items: { type: 'string' }, description: 'With from+to: only traverse these edge types' },
+          exclude_types: { type: 'array', items: { type: 'string' }, description: 'With from+to: never traverse these edge types' },
+          exclude_hubs: { type: 'boolean', description: 'With from+to: do not route through tag/submolt nodes' },
+          kinds: { type: 'array', items: { type: 'string', enum: ['agent', 'tag', 'submolt', 'wallet', 'all'] }, description: 'Node kinds to include (default agent)' },
+          since: { type: 'string', description: 'Only interactions since this ISO date or duration back from now (7d, 12h, 4w)' },
+          until: { type: 'string', description: 'Only interactions up to this ISO date or duration back from now' },
+          as_of: { type: 'string', description: 'The graph as it stood at this ISO date (instead of until)' },
           social_path: { type: 'string' }
         }
       },
       async execute(args) {
         const socialPath = args.social_path || DEFAULT_SOCIAL_PATH;
-        const { getNeighbors, commonNeighbors } = await loadLib('graph-engine');
+        const { getNeighbors, commonNeighbors, reciprocity, shortestPath } = await loadLib('graph-engine');
+        const view = { kinds: args.kinds, since: args.since, until: args.until, asOf: args.as_of };
 
+        if (args.from && args.to) {
+          return {
+            success: true,
+            data: await shortestPath({
+              socialPath,
+              from: args.from,
+              to: args.to,
+              direction: args.direction,
+              weighted: args.weighted,
+              k: args.k || 1,
+              edgeTypes: args.edge_types,
+              excludeTypes: args.exclude_types,
+              excludeHubs: args.exclude_hubs,
+              ...view
+            })
+          };
+        }
+        if (args.node && args.reciprocity) {
+          return { success: true, data: await reciprocity({ socialPath, node: args.node, ...view }) };
+        }
         if (args.node) {
-          return { success: true, data: await getNeighbors({ socialPath, node: args.node, hops: args.hops || 1 }) };
+          return { success: true, data: await getNeighbors({ socialPath, node: args.node, hops: args.hops || 1, direction: args.direction, ...view }) };
         }
         if (args.a && args.b) {
-          return { success: true, data: await commonNeighbors({ socialPath, a: args.a, b: args.b }) };
+          return { success: true, data: await commonNeighbors({ socialPath, a: args.a, b: args.b, direction: args.direction, ...view }) };
         }
 
-        return { success: false, error: 'Provide either node+hops or a+b.' };
+        return { success: false, error: 'Provide node+hops, a+b or from+to.' };
       }
     },
 
@@ -1,124 +1,434 @@
 /**
- * Centrality Metrics - PageRank, Degree, Betweenness
+ * Centrality Metrics - Degree, PageRank, Betweenness, Closeness, Harmonic, Eigenvector, HITS
+ * Path-based metrics can run from a random sample of source nodes on large graphs
  */
 
-import fs from 'fs/promises';
 import path from 'path';
+import { loadWeightedPairs, loadWeightedView } from './weights.js';
+import { seededRandom, shuffle } from './random.js';
+import { loadGraphStore, loadGraphView, invalidateGraphStore, readJsonArray, writeJsonFile } from './graph-store.js';
 
-async function loadGraph(socialPath) {
-  const nodesPath = path.join(socialPath, 'nodes.json');
-  const edgesPath = path.join(socialPath, 'edges.json');
-  const [nodes, edges] = await Promise.all([
-    fs.readFile(nodesPath, 'utf-8').then(JSON.parse).catch(() => []),
-    fs.readFile(edgesPath, 'utf-8').then(JSON.parse).catch(() => [])
-  ]);
-  return { nodes, edges };
-}
+/**
+ * Neighbor -> weight maps; every link weighs 1 unless `weighted`
+ */
+async function loadNeighborWeights(socialPath, graph, weighted) {
+  if (weighted) return loadWeightedView(socialPath, graph);
 
-function buildAdjacency(edges) {
   const adj = new Map();
-  const add = (a, b) => {
-    if (!a || !b) return;
-    if (!adj.has(a)) adj.set(a, new Set());
-    adj.get(a).add(b);
-  };
-  for (const e of edges) {
-    add(e.from, e.to);
-    add(e.to, e.from);
+  for (const [key, neighbors] of graph.adj) {
+    adj.set(key, new Map(Array.from(neighbors, n => [n, 1])));
   }
   return adj;
 }
 
-export async function degreeCentrality({ socialPath }) {
-  const { nodes, edges } = await loadGraph(socialPath);
-  const adj = buildAdjacency(edges);
+/**
+ * Degree, or weighted degree (total interaction weight) with `weighted`
+ */
+export async function degreeCentrality({ socialPath, weighted = false, ...view }) {
+  const graph = await loadGraphView(socialPath, view);
+  const adj = await loadNeighborWeights(socialPath, graph, weighted);
   const scores = {};
 
-  for (const node of nodes) {
+  for (const node of graph.nodes) {
     const key = node.handle || node.id || node.did;
-    scores[key] = (adj.get(key) || new Set()).size;
+    const neighbors = adj.get(key) || new Map();
+    scores[key] = weighted ?
+      Array.from(neighbors.values()).reduce((sum, w) => sum + w, 0) :
+      neighbors.size;
   }
 
   return scores;
 }
 
-export async function pageRank({ socialPath, iterations = 20, damping = 0.85 }) {
-  const { nodes, edges } = await loadGraph(socialPath);
-  const adj = buildAdjacency(edges);
-  const keys = nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
+/**
+ * from -> Map(to -> weight) over directed interactions between `graph`'s nodes.
+ * Repeated interactions count once unless `weighted` (then pairs are aggregated).
+ */
+async function loadDirectedWeights(socialPath, graph, weighted) {
+  const known = new Set(graph.nodes.map(n => n.handle || n.id || n.did));
+  const links = weighted ?
+    (await loadWeightedPairs(socialPath, graph)).map(pair => [pair.from, pair.to, pair.weight]) :
+    graph.edges.map(edge => [edge.from, edge.to, 1]);
+
+  const out = new Map();
+  for (const [from, to, weight] of links) {
+    if (from === to || !known.has(from) || !known.has(to)) continue;
+    if (!out.has(from)) out.set(from, new Map());
+    out.get(from).set(to, weight);
+  }
+  return out;
+}
+
+/**
+ * PageRank; with `weighted` rank flows along links in proportion to their
+ * weight, with `directed` only from the agent who acted to the one addressed.
+ * `personalize` (handles) makes it personalized PageRank: random jumps land on
+ * those agents only, so scores say who matters from their point of view.
+ * Returns { scores, iterations, converged, seeds } (seeds: the resolved handles).
+ */
+export async function pageRank({
+  socialPath,
+  iterations = 100,
+  damping = 0.85,
+  tolerance = 1e-6,
+  weighted = false,
+  directed = false,
+  personalize = [],
+  ...view
+}) {
+  const graph = await loadGraphView(socialPath, view);
+  const links = directed ?
+    await loadDirectedWeights(socialPath, graph, weighted) :
+    await loadNeighborWeights(socialPath, graph, weighted);
 
+  let seeds = [];
+  if (personalize.length) {
+    const store = await loadGraphStore(socialPath);
+    const inView = new Set(graph.nodes.map(n => n.handle || n.id || n.did));
+    seeds = personalize.map(handle => {
+      const key = store.resolve(handle);
+      if (!key) throw new Error(`Node not found: ${handle}`);
+      if (!inView.has(key)) throw new Error(`${key} is not in the ranked graph (check --kinds and the time window)`);
+      return key;
+    });
+  }
+
+  return { ...pageRankScores(graph.nodes, links, { iterations, damping, tolerance, seeds }), seeds };
+}
+
+/**
+ * PageRank over given nodes and a node -> Map(neighbor -> weight) link map (no
+ * file access; `graph diff` ranks snapshots with it). Rank held by nodes with
+ * no outgoing links is spread like a random jump instead of leaking away; the
+ * jump goes to `seeds` if given, else anywhere. Stops once the total change in
+ * an iteration drops below `tolerance`, or after `iterations`.
+ */
+export function pageRankScores(nodes, links, { iterations = 100, damping = 0.85, tolerance = 1e-6, seeds = [] } = {}) {
+  const keys = nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
+  const known = new Set(keys);
   const N = keys.length || 1;
-  const rank = {};
-  keys.forEach(k => (rank[k] = 1 / N));
 
-  for (let i = 0; i < iterations; i++) {
-    const newRank = {};
-    keys.forEach(k => (newRank[k] = (1 - damping) / N));
+  const jump = {};
+  keys.forEach(k => (jump[k] = seeds.length ? 0 : 1 / N));
+  seeds.forEach(k => (jump[k] += 1 / seeds.length));
 
-    for (const k of keys) {
-      const neighbors = adj.get(k) || new Set();
-      const outDegree = neighbors.size || 1;
-      for (const n of neighbors) {
-        if (newRank[n] === undefined) newRank[n] = (1 - damping) / N;
-        newRank[n] += damping * (rank[k] / outDegree);
-      }
+  // Only links between ranked nodes carry rank
+  const outLinks = new Map();
+  for (const k of keys) {
+    const neighbors = Array.from(links.get(k) || [], ([n, w]) => [n, w]).filter(([n, w]) => known.has(n) && w > 0);
+    const total = neighbors.reduce((sum, [, w]) => sum + w, 0);
+    if (total > 0) outLinks.set(k, neighbors.map(([n, w]) => [n, w / total]));
+  }
+
+  let rank = { ...jump };
+  let iteration = 0;
+  let converged = false;
+
+  while (iteration < iterations && !converged) {
+    iteration++;
+    const dangling = keys.reduce((sum, k) => (outLinks.has(k) ? sum : sum + rank[k]), 0);
+
+    const newRank = {};
+    keys.forEach(k => (newRank[k] = ((1 - damping) + damping * dangling) * jump[k]));
+    for (const [k, neighbors] of outLinks) {
+      for (const [n, share] of neighbors) newRank[n] += damping * rank[k] * share;
     }
-    keys.forEach(k => (rank[k] = newRank[k] || 0));
+
+    const change = keys.reduce((sum, k) => sum + Math.abs(newRank[k] - rank[k]), 0);
+    rank = newRank;
+    converged = change < tolerance;
   }
 
-  return rank;
+  return { scores: rank, iterations: iteration, converged };
 }
 
-export async function betweennessCentrality({ socialPath }) {
-  const { nodes, edges } = await loadGraph(socialPath);
-  const adj = buildAdjacency(edges);
+/**
+ * Nodes as indices with neighbor index lists, for the BFS-based metrics.
+ * Links to keys outside `nodes` (endpoints with no node record) are dropped.
+ */
+function indexGraph(nodes, adj) {
   const keys = nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
+  const index = new Map(keys.map((key, i) => [key, i]));
+  const neighbors = keys.map(key => Int32Array.from(
+    Array.from(adj.get(key) || [], n => index.get(n)).filter(i => i !== undefined)
+  ));
+  return { keys, neighbors };
+}
+
+/**
+ * Indices to search from: every node, or `samples` of them picked at random
+ */
+function pickSources(count, samples, seed) {
+  const all = Array.from({ length: count }, (_, i) => i);
+  if (!samples || samples >= count) return all;
+  return shuffle(all, seededRandom(seed), samples).slice(0, samples);
+}
+
+/**
+ * Breadth-first search from `source`. Fills `dist` (-1 = unreached) and, if
+ * given, `sigma` (number of shortest paths); returns nodes in visiting order.
+ */
+function bfs(graph, source, dist, sigma) {
+  dist.fill(-1);
+  sigma?.fill(0);
+  dist[source] = 0;
+  if (sigma) sigma[source] = 1;
+
+  const order = [source];
+  for (let head = 0; head < order.length; head++) {
+    const v = order[head];
+    for (const w of graph.neighbors[v]) {
+      if (dist[w] < 0) {
+        dist[w] = dist[v] + 1;
+        order.push(w);
+      }
+      if (sigma && dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+    }
+  }
+  return order;
+}
+
+function toScores(keys, values) {
   const scores = {};
-  keys.forEach(k => (scores[k] = 0));
-
-  for (const s of keys) {
-    const stack = [];
-    const preds = {};
-    const sigma = {};
-    const dist = {};
-
-    keys.forEach(v => {
-      preds[v] = [];
-      sigma[v] = 0;
-      dist[v] = -1;
-    });
+  keys.forEach((key, i) => (scores[key] = values[i]));
+  return scores;
+}
 
-    sigma[s] = 1;
-    dist[s] = 0;
-    const queue = [s];
-
-    while (queue.length) {
-      const v = queue.shift();
-      stack.push(v);
-      const neighbors = adj.get(v) || new Set();
-      for (const w of neighbors) {
-        if (dist[w] < 0) {
-          queue.push(w);
-          dist[w] = dist[v] + 1;
-        }
-        if (dist[w] === dist[v] + 1) {
-          sigma[w] += sigma[v];
-          preds[w].push(v);
-        }
+/**
+ * Betweenness (Brandes). With `samples`, only that many random sources are
+ * searched and the totals are scaled up by nodes / samples.
+ */
+export async function betweennessCentrality({ socialPath, samples, seed = 1, ...view }) {
+  const { nodes, adj } = await loadGraphView(socialPath, view);
+  const graph = indexGraph(nodes, adj);
+  const n = graph.keys.length;
+  const sources = pickSources(n, samples, seed);
+
+  const scores = new Float64Array(n);
+  const dist = new Int32Array(n);
+  const sigma = new Float64Array(n);
+  const delta = new Float64Array(n);
+
+  for (const s of sources) {
+    const order = bfs(graph, s, dist, sigma);
+    for (const v of order) delta[v] = 0;
+
+    // Dependencies flow back from the farthest nodes; order[0] is the source itself
+    for (let i = order.length - 1; i > 0; i--) {
+      const w = order[i];
+      for (const v of graph.neighbors[w]) {
+        if (dist[v] === dist[w] - 1) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
       }
+      scores[w] += delta[w];
+    }
+  }
+
+  const scale = sources.length ? n / sources.length : 0;
+  return toScores(graph.keys, scores.map(score => score * scale));
+}
+
+/**
+ * Distances from every (or `samples` random) source: per node, how many other
+ * sources reach it, their summed distance and summed inverse distance
+ */
+async function distanceTotals({ socialPath, samples, seed = 1, ...view }) {
+  const { nodes, adj } = await loadGraphView(socialPath, view);
+  const graph = indexGraph(nodes, adj);
+  const n = graph.keys.length;
+  const sources = pickSources(n, samples, seed);
+
+  const isSource = new Uint8Array(n);
+  sources.forEach(s => (isSource[s] = 1));
+  const reached = new Float64Array(n);
+  const distance = new Float64Array(n);
+  const inverse = new Float64Array(n);
+  const dist = new Int32Array(n);
+
+  for (const s of sources) {
+    const order = bfs(graph, s, dist);
+    for (let i = 1; i < order.length; i++) {
+      const v = order[i];
+      reached[v]++;
+      distance[v] += dist[v];
+      inverse[v] += 1 / dist[v];
     }
+  }
+
+  // Other sources each node was measured against (all n - 1 when exact)
+  const others = Float64Array.from(isSource, self => sources.length - self);
+  return { keys: graph.keys, reached, distance, inverse, others };
+}
 
-    const delta = {};
-    keys.forEach(v => (delta[v] = 0));
+/**
+ * Closeness: inverse mean distance to the nodes a node can reach, scaled by the
+ * share it can reach (Wasserman-Faust), so small components don't score 1
+ */
+export async function closenessCentrality(options) {
+  const { keys, reached, distance, others } = await distanceTotals(options);
+  return toScores(keys, keys.map((_, i) =>
+    distance[i] ? (reached[i] / others[i]) * (reached[i] / distance[i]) : 0
+  ));
+}
+
+/**
+ * Harmonic centrality: mean of 1 / distance over all other nodes (unreachable = 0)
+ */
+export async function harmonicCentrality(options) {
+  const { keys, inverse, others } = await distanceTotals(options);
+  return toScores(keys, keys.map((_, i) => (others[i] ? inverse[i] / others[i] : 0)));
+}
 
-    while (stack.length) {
-      const w = stack.pop();
-      for (const v of preds[w]) {
-        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+/**
+ * Eigenvector centrality: a node is central when its neighbors are.
+ * Power iteration on A + I (same eigenvector, but bipartite graphs converge).
+ */
+export async function eigenvectorCentrality({ socialPath, weighted = false, iterations = 100, tolerance = 1e-6, ...view }) {
+  const graph = await loadGraphView(socialPath, view);
+  const adj = await loadNeighborWeights(socialPath, graph, weighted);
+  const keys = graph.nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
+  const known = new Set(keys);
+
+  let score = {};
+  keys.forEach(k => (score[k] = 1 / Math.sqrt(keys.length)));
+
+  for (let i = 0; i < iterations; i++) {
+    const next = {};
+    for (const k of keys) {
+      let sum = score[k];
+      for (const [n, w] of adj.get(k) || []) {
+        if (known.has(n)) sum += w * score[n];
       }
-      if (w !== s) scores[w] += delta[w];
+      next[k] = sum;
+    }
+
+    const norm = Math.sqrt(keys.reduce((total, k) => total + next[k] ** 2, 0)) || 1;
+    let change = 0;
+    for (const k of keys) {
+      next[k] /= norm;
+      change += Math.abs(next[k] - score[k]);
     }
+    score = next;
+    if (change < keys.length * tolerance) break;
   }
 
-  return scores;
+  return score;
+}
+
+/**
+ * HITS over directed interactions (from -> to). Hubs point at good authorities
+ * ("who amplifies"); authorities are pointed at by good hubs ("who gets cited").
+ * Returns { hubs, authorities }, each summing to 1.
+ */
+export async function hits({ socialPath, weighted = false, iterations = 100, tolerance = 1e-8, ...view }) {
+  const graph = await loadGraphView(socialPath, view);
+  const keys = graph.nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
+  const out = await loadDirectedWeights(socialPath, graph, weighted);
+
+  const normalize = (scores, norm) => {
+    const total = norm(Object.values(scores)) || 1;
+    for (const k of keys) scores[k] /= total;
+    return scores;
+  };
+  const l2 = (values) => Math.sqrt(values.reduce((total, v) => total + v * v, 0));
+  const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+  let hubs = {};
+  let authorities = {};
+  keys.forEach(k => (hubs[k] = 1 / Math.sqrt(keys.length)));
+
+  for (let i = 0; i < iterations; i++) {
+    const nextAuthorities = {};
+    keys.forEach(k => (nextAuthorities[k] = 0));
+    for (const [from, targets] of out) {
+      for (const [to, weight] of targets) nextAuthorities[to] += weight * hubs[from];
+    }
+    normalize(nextAuthorities, l2);
+
+    const nextHubs = {};
+    for (const k of keys) {
+      let total = 0;
+      for (const [to, weight] of out.get(k) || []) total += weight * nextAuthorities[to];
+      nextHubs[k] = total;
+    }
+    normalize(nextHubs, l2);
+
+    const change = keys.reduce((total, k) => total + Math.abs(nextHubs[k] - hubs[k]), 0);
+    hubs = nextHubs;
+    authorities = nextAuthorities;
+    if (change < keys.length * tolerance) break;
+  }
+
+  return { hubs: normalize(hubs, sum), authorities: normalize(authorities, sum) };
+}
+
+const scoresOf = (compute) => async (options) => ({ scores: await compute(options) });
+
+/**
+ * Metrics for `graph centrality --metric`. `weighted`: --weighted applies;
+ * `sampled`: --samples applies (the others are cheap enough to run exactly).
+ * Each computes { scores, ... }; PageRank adds iterations and convergence.
+ */
+export const CENTRALITY_METRICS = {
+  degree: { weighted: true, compute: scoresOf(degreeCentrality) },
+  pagerank: { weighted: true, compute: pageRank },
+  betweenness: { sampled: true, compute: scoresOf(betweennessCentrality) },
+  closeness: { sampled: true, compute: scoresOf(closenessCentrality) },
+  harmonic: { sampled: true, compute: scoresOf(harmonicCentrality) },
+  eigenvector: { weighted: true, compute: scoresOf(eigenvectorCentrality) },
+  hub: { weighted: true, compute: scoresOf(async (options) => (await hits(options)).hubs) },
+  authority: { weighted: true, compute: scoresOf(async (options) => (await hits(options)).authorities) }
+};
+
+/**
+ * { scores, ... } for one of CENTRALITY_METRICS
+ */
+export async function centrality({ metric = 'pagerank', ...options }) {
+  const entry = CENTRALITY_METRICS[metric];
+  if (!entry) {
+    throw new Error(`Unknown centrality metric: ${metric} (expected ${Object.keys(CENTRALITY_METRICS).join(', ')})`);
+  }
+  return entry.compute(options);
+}
+
+const precise = (value) => Number(value.toPrecision(6));
+
+/**
+ * Compute PageRank, betweenness and degree and store them on every ranked node
+ * in nodes.json as `centrality: { pagerank, betweenness, degree, computed_at }`,
+ * where the feed and the visualization pick them up. Nodes outside the ranked
+ * set (other kinds) lose any stale scores.
+ */
+export async function persistCentrality({ socialPath, weighted = false, samples, kinds, now = Date.now() }) {
+  const pagerank = (await pageRank({ socialPath, weighted, kinds })).scores;
+  const betweenness = await betweennessCentrality({ socialPath, samples, kinds });
+  const degree = await degreeCentrality({ socialPath, weighted, kinds });
+
+  const nodesPath = path.join(socialPath, 'nodes.json');
+  const nodes = await readJsonArray(nodesPath);
+  const computedAt = new Date(now).toISOString();
+  let updated = 0;
+
+  const saved = nodes.map(node => {
+    const rest = { ...node };
+    delete rest.centrality;
+    const key = node.handle || node.id || node.did;
+    if (pagerank[key] === undefined) return rest;
+
+    updated++;
+    return {
+      ...rest,
+      centrality: {
+        pagerank: precise(pagerank[key]),
+        betweenness: precise(betweenness[key] || 0),
+        degree: precise(degree[key] || 0),
+        weighted,
+        ...(samples ? { samples } : {}),
+        computed_at: computedAt
+      }
+    };
+  });
+
+  await writeJsonFile(nodesPath, saved);
+  invalidateGraphStore(socialPath);
+  return { updated, computed_at: computedAt };
 }
@@ -6,7 +6,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import fetch from 'node-fetch';
+import { requestJson, mapWithConcurrency } from './http.js';
+import { linkIdentities, nodeSources } from './identity.js';
+import { tokenizeMentions, extractTags } from './tokenizer.js';
+import { nodeKind } from './kinds.js';
+import { invalidateGraphStore, readJsonArray, writeJsonFile } from './graph-store.js';
 
 const AMIKONET_API_URL = process.env.AMIKONET_API_URL || 'https://amikonet.ai/api';
 const TOKEN_FILE = path.join(os.homedir(), '.amikonet-token');
@@ -24,18 +28,111 @@ function normalizePosts(json) {
 }
 
 /**
- * Extract @mentions from text
+ * Normalize a comments response; falls back to the generic list shapes
  */
-function extractMentions(text) {
-  if (!text) return [];
-  const matches = text?.match(/@[a-zA-Z0-9_\-]+/g) || [];
-  return Array.from(new Set(matches));
+function normalizeComments(json) {
+  if (Array.isArray(json?.comments)) return json.comments;
+  if (Array.isArray(json?.data?.comments)) return json.data.comments;
+  return normalizePosts(json);
 }
 
-function extractTags(text) {
-  if (!text) return [];
-  const matches = text?.match(/#[a-zA-Z0-9_\-]+/g) || [];
-  return Array.from(new Set(matches));
+/**
+ * Flatten a comment thread into depth-first order with parent ids and depth.
+ * Accepts nested `replies`/`children` arrays as well as flat lists with `parent_id`.
+ */
+export function flattenCommentThread(comments = []) {
+  const flat = [];
+
+  const walk = (list, parentId, depth) => {
+    for (const comment of list || []) {
+      const ownParent = comment.parent_id ?? comment.parentId ?? parentId ?? null;
+      flat.push({ comment, parentId: ownParent, depth });
+      walk(comment.replies || comment.children, comment.id, depth + 1);
+    }
+  };
+  walk(comments, null, 0);
+
+  // Flat lists only carry parent ids: order parents before replies, then derive depth.
+  // A parent_id chain that loops back (self-parent, A -> B -> A) is cut where it
+  // revisits an entry, which then counts as a top-level comment.
+  const byId = new Map(flat.filter(f => f.comment.id).map(f => [f.comment.id, f]));
+  const ordered = [];
+  const placed = new Set();
+  const visiting = new Set();
+  const place = (entry) => {
+    if (placed.has(entry)) return;
+    visiting.add(entry);
+    const parent = entry.parentId ? byId.get(entry.parentId) : null;
+    if (parent && visiting.has(parent)) entry.parentId = null;
+    else if (parent) place(parent);
+    visiting.delete(entry);
+    placed.add(entry);
+    ordered.push(entry);
+  };
+  flat.forEach(place);
+
+  for (const entry of ordered) {
+    const parent = entry.parentId ? byId.get(entry.parentId) : null;
+    if (parent) entry.depth = Math.max(entry.depth, parent.depth + 1);
+  }
+
+  return ordered;
+}
+
+/**
+ * Retry and record/replay settings forwarded from collector options to the request layer
+ */
+function retryOptions(options) {
+  const retry = {};
+  if (options.retries !== undefined) retry.retries = Number(options.retries);
+  if (options.retryDelay !== undefined) retry.baseDelayMs = Number(options.retryDelay);
+  if (options.onRetry) retry.onRetry = options.onRetry;
+  if (options.record) retry.record = options.record;
+  if (options.replay) retry.replay = options.replay;
+  return retry;
+}
+
+/**
+ * Local stub servers are allowed so the collector can be exercised offline
+ */
+function isLoopbackUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Work out how to request the next page from a list response.
+ * Prefers an explicit cursor, falls back to offset paging while pages come back full.
+ */
+function nextPage(json, pageLength, pageSize) {
+  if (!pageLength) return null;
+  if (json?.has_more === false || json?.pagination?.has_more === false) return null;
+
+  const cursor = json?.next_cursor || json?.nextCursor ||
+    json?.pagination?.next_cursor || json?.pagination?.cursor || json?.cursor?.next;
+  if (cursor) return { cursor: String(cursor) };
+
+  if (json?.has_more === true || json?.pagination?.has_more === true) return { offset: true };
+  return pageLength >= pageSize ? { offset: true } : null;
+}
+
+/**
+ * Newest post seen in a run, persisted so the next run can stop there
+ */
+function computeHighWaterMark(posts) {
+  let latest = null;
+  for (const post of posts) {
+    const createdAt = post.created_at || post.createdAt;
+    if (!createdAt) continue;
+    if (!latest || new Date(createdAt) > new Date(latest.latest_post_at)) {
+      latest = { latest_post_at: createdAt, latest_post_id: post.id || null };
+    }
+  }
+  return latest;
 }
 
 /**
@@ -71,291 +168,743 @@ async function getMoltbookApiKey(options = {}) {
 }
 
 /**
- * Collect from AmikoNet
+ * Parse a --since bound, rejecting unparseable dates
  */
-export async function collectFromAmikoNet(options = {}) {
-  const limit = options.limit || 100;
-  const token = await fs.readFile(TOKEN_FILE, 'utf-8').catch(() => null);
+function parseSince(value) {
+  if (!value) return null;
+  const since = new Date(value);
+  if (Number.isNaN(since.getTime())) {
+    throw new Error(`Invalid --since date: ${value}`);
+  }
+  return since;
+}
 
-  if (!token) {
-    throw new Error('Not authenticated. Run: ~/.openclaw/skills/amikonet/cli.js auth');
+/**
+ * When a post or comment was written; undated records stay undated (a
+ * collection-time stamp would change on every run and defeat edge dedupe)
+ */
+function postTimestamp(record, fallback) {
+  return record.created_at || record.createdAt || fallback || undefined;
+}
+
+function commentCountOf(post) {
+  if (Array.isArray(post.comments)) return post.comments.length;
+  return Number(post.comment_count ?? post.commentCount ?? post.comments_count ?? 0);
+}
+
+/**
+ * Follow a paginated posts endpoint until the page, --since or --max-pages bound is hit.
+ * Pages must come newest-first whenever `since` applies. The high-water mark is
+ * only returned when the crawl is gap-free: it reached `since` (or the last page)
+ * and the order was `chronological`; otherwise the stored mark must stay put.
+ */
+async function fetchPostPages({ label, buildUrl, headers, options, defaultPageSize = 25, chronological = true }) {
+  const pageSize = options.limit ? Number(options.limit) : defaultPageSize;
+  const since = parseSince(options.since);
+  const maxPages = options.maxPages ? Number(options.maxPages) : (since ? 20 : 1);
+
+  const rawPosts = [];
+  let cursor = null;
+  let offset = 0;
+  let pages = 0;
+  let reachedSince = false;
+  let next = null;
+
+  while (pages < maxPages) {
+    const url = buildUrl({ pageSize, cursor, offset, since });
+    const json = await requestJson(url, { label, headers, ...retryOptions(options) });
+    const page = normalizePosts(json);
+    pages++;
+
+    for (const post of page) {
+      const createdAt = post.created_at || post.createdAt;
+      if (since && createdAt && new Date(createdAt) <= since) {
+        reachedSince = true;
+        continue;
+      }
+      rawPosts.push(post);
+    }
+
+    next = nextPage(json, page.length, pageSize);
+    if (reachedSince || !next) break;
+    if (next.cursor) cursor = next.cursor;
+    else offset += page.length;
   }
 
-  const response = await fetch(`${AMIKONET_API_URL}/posts?limit=${limit}`, {
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
+  // Stopped by --max-pages with newer-than-since posts still unread
+  const truncated = Boolean(since) && !reachedSince && Boolean(next);
+  return {
+    posts: rawPosts,
+    pages,
+    truncated,
+    highWaterMark: chronological && !truncated ? computeHighWaterMark(rawPosts) : null
+  };
+}
+
+/**
+ * Fetch comment threads for posts in parallel; results stay aligned with `posts`
+ * so edges come out in the same order as a sequential crawl.
+ * A failed thread must not abort the run, but it is reported back.
+ */
+async function fetchCommentThreads({ label, posts, commentsUrl, headers, options }) {
+  const includeComments = options.includeComments !== false;
+  const concurrency = options.concurrency ? Number(options.concurrency) : 5;
+
+  const results = await mapWithConcurrency(posts, concurrency, async (post) => {
+    if (!includeComments || commentCountOf(post) === 0) return { comments: [] };
+    // Some APIs embed the thread in the post already
+    if (Array.isArray(post.comments)) return { comments: post.comments };
+
+    try {
+      const json = await requestJson(commentsUrl(post.id), { label, headers, ...retryOptions(options) });
+      return { comments: normalizeComments(json) };
+    } catch (error) {
+      return {
+        comments: [],
+        failure: {
+          post_id: post.id,
+          status: error.status || null,
+          attempts: error.attempts || 1,
+          error: error.message
+        }
+      };
     }
   });
 
-  if (!response.ok) {
-    throw new Error(`AmikoNet API error: ${response.status}`);
+  return {
+    threads: results.map(r => r.comments),
+    commentFailures: results.filter(r => r.failure).map(r => r.failure)
+  };
+}
+
+/**
+ * Accumulates nodes, edges, posts and comments for one source.
+ * `authorOf(author)` maps a raw author to { node, handle, name } (or null to skip).
+ */
+function createGraphBuilder(source, authorOf) {
+  const nodesById = new Map();
+  const edges = [];
+  const posts = [];
+  const comments = [];
+
+  function upsertNode(node) {
+    if (!node?.id) return;
+    if (!nodesById.has(node.id)) {
+      nodesById.set(node.id, { kind: 'agent', ...node, privacy: 'graph', source });
+    }
   }
 
-  const data = await response.json();
-  const posts = normalizePosts(data);
+  function addAuthor(author) {
+    const resolved = authorOf(author || {});
+    if (!resolved) return null;
+    upsertNode(resolved.node);
+    return resolved;
+  }
 
-  // Build graph
-  const nodes = [];
-  const edges = [];
-  const nodeSet = new Set();
+  function addEdge(edge) {
+    edges.push({ ...edge, source });
+  }
 
-  for (const post of posts) {
-    const author = post.author || {};
-    if (!author.did) continue;
-
-    const handle = author.handle ? `@${author.handle}` : author.did.substring(0, 20);
-
-    if (!nodeSet.has(author.did)) {
-      nodeSet.add(author.did);
-      nodes.push({
-        id: author.did,
-        name: author.name || 'Unknown',
-        handle: handle,
-        did: author.did,
-        privacy: 'graph',
-        source: 'amikonet'
-      });
+  /**
+   * One mention edge per handle across `fields` ({ title, content, ... });
+   * `field` and `offset` record where the first occurrence was found.
+   * `origin` ({ post_id, comment_id }) keys undated edges to their post.
+   */
+  function addMentions(from, fields, context, timestamp, origin = {}) {
+    const seen = new Set();
+    for (const [field, text] of Object.entries(fields)) {
+      for (const { value, offset } of tokenizeMentions(text)) {
+        if (seen.has(value.toLowerCase())) continue;
+        seen.add(value.toLowerCase());
+        addEdge({ from, to: value, type: 'mention', context, timestamp, field, offset, ...origin });
+      }
     }
+  }
 
-    // Extract mentions
-    const mentions = extractMentions(post.content);
-    for (const mention of mentions) {
-      edges.push({
-        from: handle,
-        to: mention,
-        type: 'mention',
-        context: post.content?.substring(0, 50),
-        timestamp: post.createdAt || new Date().toISOString(),
-        source: 'amikonet'
+  function addTags(from, tags, timestamp, origin = {}) {
+    for (const tag of new Set(tags)) {
+      const tagNodeId = `#tag:${tag.replace('#', '')}`;
+      upsertNode({ id: tagNodeId, name: tag, handle: tagNodeId, kind: 'tag' });
+      addEdge({ from, to: tagNodeId, type: 'tag', context: tag, timestamp, ...origin });
+    }
+  }
+
+  function addSubmolt(from, submolt, timestamp, origin = {}) {
+    const submoltNodeId = `#submolt:${submolt.name}`;
+    upsertNode({ id: submoltNodeId, name: submolt.display_name || submolt.name, handle: submoltNodeId, kind: 'submolt' });
+    addEdge({ from, to: submoltNodeId, type: 'submolt', context: submolt.name, timestamp, ...origin });
+  }
+
+  /**
+   * Comment/reply edges for one post's thread. Replies point at the parent
+   * comment's author; top-level comments (and replies whose parent was not
+   * fetched) point at the post author.
+   */
+  function addThread(rawComments, { postId, postAuthorHandle, postTimestamp: postTime, includeTags }) {
+    const authorByCommentId = new Map();
+
+    for (const { comment, parentId, depth } of flattenCommentThread(rawComments)) {
+      const commentAuthor = addAuthor(comment.author);
+      if (!commentAuthor) continue;
+      // Undated comments inherit the post time so re-collection (and replay) is stable
+      const timestamp = postTimestamp(comment, postTime);
+      const context = (comment.content || '').substring(0, 50);
+
+      if (comment.id) authorByCommentId.set(comment.id, commentAuthor.handle);
+
+      const parentAuthorHandle = parentId ? authorByCommentId.get(parentId) : null;
+      addEdge({
+        from: commentAuthor.handle,
+        to: parentAuthorHandle || postAuthorHandle,
+        type: parentAuthorHandle ? 'reply' : 'comment',
+        context,
+        timestamp,
+        post_id: postId,
+        comment_id: comment.id || null,
+        depth
+      });
+
+      comments.push({
+        id: comment.id,
+        post_id: postId,
+        parent_id: parentId,
+        author_handle: commentAuthor.handle,
+        author_name: commentAuthor.name,
+        content: comment.content,
+        timestamp,
+        upvotes: comment.upvotes || 0,
+        depth,
+        source
       });
+
+      const origin = { post_id: postId, comment_id: comment.id || null };
+      addMentions(commentAuthor.handle, { content: comment.content }, context, timestamp, origin);
+      if (includeTags) {
+        addTags(commentAuthor.handle, extractTags(comment.content || ''), timestamp, origin);
+      }
     }
   }
 
-  return { posts, nodes, edges, source: 'amikonet' };
+  return {
+    addAuthor,
+    addMentions,
+    addTags,
+    addSubmolt,
+    addThread,
+    addPost: (post) => posts.push(post),
+    result: () => ({ posts, nodes: Array.from(nodesById.values()), edges, comments })
+  };
 }
 
 /**
- * Collect from Moltbook
+ * Resolve the AmikoNet bearer token
  */
-export async function collectFromMoltbook(options = {}) {
-  const baseUrl = options.baseUrl || 'https://www.moltbook.com/api/v1';
-  const apiKey = await getMoltbookApiKey(options);
-  const includeComments = options.includeComments !== false;
+export async function getAmikoNetToken() {
+  const token = await fs.readFile(TOKEN_FILE, 'utf-8').catch(() => null);
+
+  if (!token) {
+    throw new Error('Not authenticated. Run: ~/.openclaw/skills/amikonet/cli.js auth');
+  }
+
+  return token;
+}
+
+/**
+ * Fetch raw posts (and comment threads) from AmikoNet
+ */
+export async function fetchAmikoNet(options = {}, token) {
+  const apiUrl = (options.amikonetUrl || AMIKONET_API_URL).replace(/\/$/, '');
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
   const commentsLimit = options.commentsLimit ? Number(options.commentsLimit) : 20;
-  const includeSubmolts = options.includeSubmolts !== false;
+
+  const { posts, pages, truncated, highWaterMark } = await fetchPostPages({
+    label: 'AmikoNet',
+    headers,
+    options,
+    defaultPageSize: 100,
+    buildUrl: ({ pageSize, cursor, offset }) => {
+      const url = new URL(`${apiUrl}/posts`);
+      url.searchParams.set('limit', String(pageSize));
+      if (cursor) url.searchParams.set('cursor', cursor);
+      else if (offset) url.searchParams.set('offset', String(offset));
+      return url.toString();
+    }
+  });
+
+  const { threads, commentFailures } = await fetchCommentThreads({
+    label: 'AmikoNet',
+    posts,
+    headers,
+    options,
+    commentsUrl: (postId) => `${apiUrl}/posts/${postId}/comments?limit=${commentsLimit}`
+  });
+
+  return { posts, threads, pages, truncated, highWaterMark, commentFailures };
+}
+
+/**
+ * AmikoNet authors are keyed by DID, falling back to id/handle when absent
+ */
+function amikonetAuthor(author) {
+  const rawHandle = author.handle || author.username;
+  const id = author.did || author.id || rawHandle;
+  if (!id) return null;
+
+  const handle = rawHandle ? `@${rawHandle.replace(/^@/, '')}` : id.substring(0, 20);
+  const node = {
+    id,
+    name: author.name || rawHandle || 'Unknown',
+    handle,
+    meta: {
+      follower_count: author.follower_count ?? author.followerCount,
+      following_count: author.following_count ?? author.followingCount
+    }
+  };
+  if (author.did) node.did = author.did;
+
+  return { node, handle, name: node.name };
+}
+
+/**
+ * Normalize raw AmikoNet posts and comment threads into graph data
+ */
+export function normalizeAmikoNet(raw, options = {}) {
+  const rawPosts = raw.posts || [];
+  const threads = raw.threads || [];
+  const includeComments = options.includeComments !== false;
   const includeTags = options.includeTags !== false;
+  const graph = createGraphBuilder('amikonet', amikonetAuthor);
 
-  if (!apiKey) {
-    throw new Error('Missing Moltbook API key. Provide --api-key, set MOLTBOOK_API_KEY, or pass --credentials/--tools-path.');
-  }
-  if (!baseUrl.startsWith('https://www.moltbook.com/')) {
-    throw new Error('Invalid Moltbook base URL. Use https://www.moltbook.com/api/v1 to avoid Authorization header stripping.');
+  for (const [postIndex, post] of rawPosts.entries()) {
+    const author = graph.addAuthor(post.author);
+    if (!author) continue;
+
+    const timestamp = postTimestamp(post);
+    const text = [post.title, post.content].filter(Boolean).join(' ');
+    graph.addMentions(author.handle, { title: post.title, content: post.content }, post.content?.substring(0, 50), timestamp, { post_id: post.id });
+
+    const declaredTags = (post.tags || []).map(t => `#${String(t?.name ?? t).replace(/^#/, '')}`);
+    const tags = includeTags ? [...declaredTags, ...extractTags(text)] : [];
+    graph.addTags(author.handle, tags, timestamp, { post_id: post.id });
+
+    // Same shape as Moltbook posts so the recommender can score both
+    graph.addPost({
+      id: post.id,
+      title: post.title,
+      content: post.content,
+      author_handle: author.handle,
+      author_name: author.name,
+      author: { ...post.author, handle: author.handle },
+      timestamp,
+      upvotes: post.upvotes ?? post.likes ?? post.likeCount ?? 0,
+      comment_count: commentCountOf(post),
+      tags: declaredTags,
+      source: 'amikonet',
+      preview: post.title || (post.content || '').substring(0, 100)
+    });
+
+    if (includeComments && threads[postIndex]?.length) {
+      graph.addThread(threads[postIndex], {
+        postId: post.id,
+        postAuthorHandle: author.handle,
+        postTimestamp: timestamp,
+        includeTags
+      });
+    }
   }
 
-  // Build URL
-  const url = new URL(`${baseUrl.replace(/\/$/, '')}/posts`);
-  if (options.limit) url.searchParams.set('limit', String(options.limit));
-  if (options.sort) url.searchParams.set('sort', options.sort);
-  if (options.submolt) url.searchParams.set('submolt', options.submolt);
+  return {
+    ...graph.result(),
+    source: 'amikonet',
+    pages: raw.pages,
+    truncated: Boolean(raw.truncated),
+    highWaterMark: raw.highWaterMark,
+    commentFailures: raw.commentFailures || []
+  };
+}
 
-  // Fetch posts
-  const response = await fetch(url.toString(), {
-    headers: { 'Authorization': `Bearer ${apiKey}` }
-  });
+/**
+ * Collect from AmikoNet
+ */
+export async function collectFromAmikoNet(options = {}) {
+  const token = await getAmikoNetToken(options);
+  return normalizeAmikoNet(await fetchAmikoNet(options, token), options);
+}
+
+/**
+ * Resolve the Moltbook API key, failing with a hint when none is configured
+ */
+export async function resolveMoltbookAuth(options = {}) {
+  const apiKey = await getMoltbookApiKey(options);
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Moltbook API error ${response.status}: ${text}`);
+  if (!apiKey) {
+    throw new Error('Missing Moltbook API key. Provide --api-key, set MOLTBOOK_API_KEY, or pass --credentials/--tools-path.');
   }
 
-  const json = await response.json();
-  const rawPosts = normalizePosts(json);
+  return apiKey;
+}
 
-  async function fetchComments(postId) {
-    const commentsUrl = new URL(`${baseUrl.replace(/\/$/, '')}/posts/${postId}/comments`);
-    if (commentsLimit) commentsUrl.searchParams.set('limit', String(commentsLimit));
-    const res = await fetch(commentsUrl.toString(), {
-      headers: { 'Authorization': `Bearer ${apiKey}` }
-    });
-    if (!res.ok) return [];
-    const json = await res.json();
-    return normalizePosts(json);
+/**
+ * Fetch raw posts (and comment threads) from Moltbook
+ */
+export async function fetchMoltbook(options = {}, apiKey) {
+  const baseUrl = (options.baseUrl || 'https://www.moltbook.com/api/v1').replace(/\/$/, '');
+  const commentsLimit = options.commentsLimit ? Number(options.commentsLimit) : 20;
+  const headers = { 'Authorization': `Bearer ${apiKey}` };
+
+  if (!baseUrl.startsWith('https://www.moltbook.com/') && !isLoopbackUrl(baseUrl)) {
+    throw new Error('Invalid Moltbook base URL. Use https://www.moltbook.com/api/v1 to avoid Authorization header stripping.');
   }
 
-  // Build graph and normalize posts to match expected format
-  const nodesById = new Map();
-  const edges = [];
-  const posts = [];
+  // Paging back to a since bound only works newest-first, so it overrides --sort
+  const sort = options.since ? 'new' : options.sort;
+  const { posts, pages, truncated, highWaterMark } = await fetchPostPages({
+    label: 'Moltbook',
+    headers,
+    options,
+    chronological: !sort || sort === 'new',
+    buildUrl: ({ pageSize, cursor, offset }) => {
+      const url = new URL(`${baseUrl}/posts`);
+      url.searchParams.set('limit', String(pageSize));
+      if (sort) url.searchParams.set('sort', sort);
+      if (options.submolt) url.searchParams.set('submolt', options.submolt);
+      if (cursor) url.searchParams.set('cursor', cursor);
+      else if (offset) url.searchParams.set('offset', String(offset));
+      return url.toString();
+    }
+  });
 
-  function upsertNode(node) {
-    if (!node?.id) return;
-    if (!nodesById.has(node.id)) {
-      nodesById.set(node.id, { ...node, privacy: 'graph', source: 'moltbook' });
+  const { threads, commentFailures } = await fetchCommentThreads({
+    label: 'Moltbook',
+    posts,
+    headers,
+    options,
+    commentsUrl: (postId) => {
+      const url = new URL(`${baseUrl}/posts/${postId}/comments`);
+      if (commentsLimit) url.searchParams.set('limit', String(commentsLimit));
+      return url.toString();
     }
-  }
+  });
 
-  for (const post of rawPosts) {
-    const author = post.author || {};
-    const authorName = author.name || author.handle || author.id || 'unknown';
-    const authorId = author.id || author.name || author.handle || authorName;
-    const authorHandle = author.handle || `@${authorName}`;
+  return { posts, threads, pages, truncated, highWaterMark, commentFailures };
+}
 
-    upsertNode({
-      id: authorId,
-      name: author.name || author.handle || authorId,
-      handle: authorHandle,
+function moltbookAuthor(author) {
+  const name = author.name || author.handle || author.id || 'unknown';
+  const id = author.id || author.name || author.handle || name;
+  const handle = author.handle || `@${name}`;
+
+  return {
+    handle,
+    name,
+    node: {
+      id,
+      name: author.name || author.handle || id,
+      handle,
       meta: {
         karma: author.karma,
         follower_count: author.follower_count,
         following_count: author.following_count
       }
-    });
-
-    // Extract mentions/tags from title, content, url
-    const text = [post.title, post.content, post.url].filter(Boolean).join(' ');
-    const mentions = extractMentions(text);
-    const tags = includeTags ? extractTags(text) : [];
-
-    for (const mention of mentions) {
-      edges.push({
-        from: authorHandle,
-        to: mention,
-        type: 'mention',
-        context: post.title || post.id || 'post',
-        timestamp: post.created_at || new Date().toISOString(),
-        source: 'moltbook'
-      });
     }
+  };
+}
+
+/**
+ * Normalize raw Moltbook posts and comment threads into graph data
+ */
+export function normalizeMoltbook(raw, options = {}) {
+  const rawPosts = raw.posts || [];
+  const threads = raw.threads || [];
+  const includeComments = options.includeComments !== false;
+  const includeSubmolts = options.includeSubmolts !== false;
+  const includeTags = options.includeTags !== false;
+  const graph = createGraphBuilder('moltbook', moltbookAuthor);
+
+  for (const [postIndex, post] of rawPosts.entries()) {
+    const author = graph.addAuthor(post.author);
+    const timestamp = postTimestamp(post);
+
+    // Extract mentions/tags from title and content (code and URLs are skipped)
+    const text = [post.title, post.content].filter(Boolean).join(' ');
+    graph.addMentions(author.handle, { title: post.title, content: post.content }, post.title || post.id || 'post', timestamp, { post_id: post.id });
 
     if (includeSubmolts && post.submolt?.name) {
-      const submoltNodeId = `#submolt:${post.submolt.name}`;
-      upsertNode({ id: submoltNodeId, name: post.submolt.display_name || post.submolt.name, handle: submoltNodeId });
-      edges.push({
-        from: authorHandle,
-        to: submoltNodeId,
-        type: 'submolt',
-        context: post.submolt.name,
-        timestamp: post.created_at || new Date().toISOString(),
-        source: 'moltbook'
-      });
+      graph.addSubmolt(author.handle, post.submolt, timestamp, { post_id: post.id });
     }
 
-    for (const tag of tags) {
-      const tagNodeId = `#tag:${tag.replace('#', '')}`;
-      upsertNode({ id: tagNodeId, name: tag, handle: tagNodeId });
-      edges.push({
-        from: authorHandle,
-        to: tagNodeId,
-        type: 'tag',
-        context: tag,
-        timestamp: post.created_at || new Date().toISOString(),
-        source: 'moltbook'
-      });
+    if (includeTags) {
+      graph.addTags(author.handle, extractTags(text), timestamp, { post_id: post.id });
     }
 
     // Normalize post format for recommender compatibility
-    posts.push({
+    graph.addPost({
       id: post.id,
       title: post.title,
       content: post.content,
-      author_handle: authorHandle,
-      author_name: authorName,
-      author: { ...author, handle: authorHandle },
-      timestamp: post.created_at || new Date().toISOString(),
+      author_handle: author.handle,
+      author_name: author.name,
+      author: { ...post.author, handle: author.handle },
+      timestamp,
       upvotes: post.upvotes || 0,
-      comment_count: post.comment_count || 0,
+      comment_count: commentCountOf(post),
       submolt: post.submolt?.name || post.submolt?.display_name || 'general',
       source: 'moltbook',
       // For recommender preview
       preview: post.title || (post.content || '').substring(0, 100)
     });
 
-    if (includeComments && post.comment_count > 0) {
-      const comments = await fetchComments(post.id);
-      for (const comment of comments) {
-        const commentAuthor = comment.author || {};
-        const commentAuthorName = commentAuthor.name || commentAuthor.handle || commentAuthor.id || 'unknown';
-        const commentAuthorId = commentAuthor.id || commentAuthor.name || commentAuthor.handle || commentAuthorName;
-        const commentAuthorHandle = commentAuthor.handle || `@${commentAuthorName}`;
-
-        upsertNode({
-          id: commentAuthorId,
-          name: commentAuthor.name || commentAuthor.handle || commentAuthorId,
-          handle: commentAuthorHandle,
-          meta: {
-            karma: commentAuthor.karma,
-            follower_count: commentAuthor.follower_count,
-            following_count: commentAuthor.following_count
-          }
-        });
-
-        edges.push({
-          from: commentAuthorHandle,
-          to: authorHandle,
-          type: 'comment',
-          context: (comment.content || '').substring(0, 50),
-          timestamp: comment.created_at || new Date().toISOString(),
-          source: 'moltbook'
-        });
-
-        const commentMentions = extractMentions(comment.content || '');
-        for (const mention of commentMentions) {
-          edges.push({
-            from: commentAuthorHandle,
-            to: mention,
-            type: 'mention',
-            context: (comment.content || '').substring(0, 50),
-            timestamp: comment.created_at || new Date().toISOString(),
-            source: 'moltbook'
-          });
-        }
+    if (includeComments && commentCountOf(post) > 0) {
+      graph.addThread(threads[postIndex], {
+        postId: post.id,
+        postAuthorHandle: author.handle,
+        postTimestamp: timestamp,
+        includeTags
+      });
+    }
+  }
 
-        if (includeTags) {
-          const commentTags = extractTags(comment.content || '');
-          for (const tag of commentTags) {
-            const tagNodeId = `#tag:${tag.replace('#', '')}`;
-            upsertNode({ id: tagNodeId, name: tag, handle: tagNodeId });
-            edges.push({
-              from: commentAuthorHandle,
-              to: tagNodeId,
-              type: 'tag',
-              context: tag,
-              timestamp: comment.created_at || new Date().toISOString(),
-              source: 'moltbook'
-            });
-          }
-        }
+  return {
+    ...graph.result(),
+    source: 'moltbook',
+    pages: raw.pages,
+    truncated: Boolean(raw.truncated),
+    highWaterMark: raw.highWaterMark,
+    commentFailures: raw.commentFailures || []
+  };
+}
+
+/**
+ * Collect from Moltbook
+ */
+export async function collectFromMoltbook(options = {}) {
+  const apiKey = await resolveMoltbookAuth(options);
+  return normalizeMoltbook(await fetchMoltbook(options, apiKey), options);
+}
+
+// Fields written locally (wallet binding, community detection) that a
+// collection run must never clobber.
+const LOCAL_NODE_FIELDS = ['walletAddress', 'walletVerifiedAt', 'trustScoreOnchain', 'community', 'centrality'];
+const LOCAL_META_FIELDS = ['walletAddress', 'walletVerifiedAt', 'walletVerificationMethod', 'walletChallengeId'];
+
+/**
+ * Nodes already in the graph, used to validate mentions during collection
+ */
+export async function loadKnownNodes(socialPath) {
+  return readJsonArray(path.join(socialPath, 'nodes.json'));
+}
+
+function edgeKey(edge) {
+  return [
+    edge.from,
+    edge.to,
+    edge.type || 'mention',
+    edge.source || '',
+    edge.timestamp || edge.proofTimestamp || edge.context || '',
+    // Comments inherit their post's time when undated: where an edge came from tells them apart
+    edge.post_id || '',
+    edge.comment_id || ''
+  ].join('|');
+}
+
+/**
+ * Upsert incoming nodes into existing ones by id or handle.
+ * Incoming values win, except for locally-owned fields.
+ */
+export function mergeNodes(existing, incoming) {
+  const merged = existing.map(node => ({ ...node }));
+  const byKey = new Map();
+  const index = (node) => {
+    if (node.id) byKey.set(`id:${node.id}`, node);
+    if (node.handle) byKey.set(`handle:${node.handle}`, node);
+    // Linked identities keep absorbing updates from their original sources
+    for (const alias of node.aliases || []) {
+      if (!byKey.has(`id:${alias}`)) byKey.set(`id:${alias}`, node);
+      if (!byKey.has(`handle:${alias}`)) byKey.set(`handle:${alias}`, node);
+    }
+  };
+  merged.forEach(index);
+
+  let added = 0;
+  let updated = 0;
+
+  for (const node of incoming) {
+    const current = (node.id && byKey.get(`id:${node.id}`)) ||
+      (node.handle && byKey.get(`handle:${node.handle}`));
+
+    if (!current) {
+      const copy = { ...node };
+      merged.push(copy);
+      index(copy);
+      added++;
+      continue;
+    }
+
+    const local = {};
+    for (const field of LOCAL_NODE_FIELDS) {
+      if (current[field] !== undefined) local[field] = current[field];
+    }
+    const localMeta = {};
+    for (const field of LOCAL_META_FIELDS) {
+      if (current.meta?.[field] !== undefined) localMeta[field] = current.meta[field];
+    }
+
+    const meta = (current.meta || node.meta) ?
+      { ...current.meta, ...node.meta, ...localMeta } :
+      undefined;
+    const sources = Array.from(new Set([...nodeSources(current), ...nodeSources(node)]));
+
+    const viaAlias = (current.aliases || []).some(alias => alias === node.id || alias === node.handle) &&
+      node.id !== current.id && node.handle !== current.handle;
+
+    if (viaAlias) {
+      // Canonical identity wins; the linked source only fills gaps
+      for (const [field, value] of Object.entries(node)) {
+        if (current[field] === undefined || current[field] === null) current[field] = value;
       }
+    } else {
+      Object.assign(current, node, local);
     }
+    if (meta) current.meta = meta;
+    if (sources.length) current.sources = sources;
+    index(current);
+    updated++;
   }
 
-  const nodes = Array.from(nodesById.values());
+  return { nodes: merged, added, updated };
+}
+
+/**
+ * Append incoming edges, skipping ones already present.
+ * Edges are identified by (from, to, type, source, timestamp), or for undated
+ * edges by their post/comment id and context instead of the timestamp.
+ */
+export function mergeEdges(existing, incoming) {
+  const merged = [...existing];
+  const seen = new Set(existing.map(edgeKey));
+  let added = 0;
+
+  for (const edge of incoming) {
+    const key = edgeKey(edge);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(edge);
+    added++;
+  }
 
-  return { posts, nodes, edges, source: 'moltbook' };
+  return { edges: merged, added };
+}
+
+function mergeById(existing, incoming) {
+  const merged = [...existing];
+  const indexById = new Map();
+  merged.forEach((record, i) => {
+    if (record.id) indexById.set(record.id, i);
+  });
+  let added = 0;
+
+  for (const record of incoming) {
+    if (record.id && indexById.has(record.id)) {
+      merged[indexById.get(record.id)] = { ...merged[indexById.get(record.id)], ...record };
+      continue;
+    }
+    if (record.id) indexById.set(record.id, merged.length);
+    merged.push(record);
+    added++;
+  }
+
+  return { records: merged, added };
+}
+
+/**
+ * Append new posts by id; known posts are refreshed in place.
+ */
+export function mergePosts(existing, incoming) {
+  const { records, added } = mergeById(existing, incoming);
+  return { posts: records, added };
+}
+
+/**
+ * Append new comments by id; known comments are refreshed in place.
+ */
+export function mergeComments(existing, incoming) {
+  const { records, added } = mergeById(existing, incoming);
+  return { comments: records, added };
 }
 
 /**
  * Save collected data to storage
+ * mode 'merge' (default) upserts into the existing graph, 'replace' overwrites it.
+ * Comment records (options.comments) are stored in comments.json next to posts.
+ * With options.linkIdentities, nodes for the same agent across sources are merged
+ * (see identity.js); options.aliases supplies an explicit alias map.
  */
-export async function saveGraphData(posts, nodes, edges, socialPath) {
+export async function saveGraphData(posts, nodes, edges, socialPath, options = {}) {
+  const mode = options.mode || 'merge';
+  const comments = options.comments || [];
   await fs.mkdir(socialPath, { recursive: true });
 
+  const postsPath = path.join(socialPath, 'posts.json');
+  const nodesPath = path.join(socialPath, 'nodes.json');
+  const edgesPath = path.join(socialPath, 'edges.json');
+  const commentsPath = path.join(socialPath, 'comments.json');
+
+  let result = {
+    posts,
+    nodes,
+    edges,
+    comments,
+    added: { posts: posts.length, nodes: nodes.length, edges: edges.length, comments: comments.length }
+  };
+
+  if (mode === 'merge') {
+    const [existingPosts, existingNodes, existingEdges, existingComments] = await Promise.all([
+      readJsonArray(postsPath),
+      readJsonArray(nodesPath),
+      readJsonArray(edgesPath),
+      readJsonArray(commentsPath)
+    ]);
+
+    const mergedPosts = mergePosts(existingPosts, posts);
+    const mergedNodes = mergeNodes(existingNodes, nodes);
+    const mergedEdges = mergeEdges(existingEdges, edges);
+    const mergedComments = mergeComments(existingComments, comments);
+
+    result = {
+      posts: mergedPosts.posts,
+      nodes: mergedNodes.nodes,
+      edges: mergedEdges.edges,
+      comments: mergedComments.comments,
+      added: {
+        posts: mergedPosts.added,
+        nodes: mergedNodes.added,
+        edges: mergedEdges.added,
+        comments: mergedComments.added
+      }
+    };
+  }
+
+  if (options.linkIdentities) {
+    const linked = linkIdentities(result.nodes, result.edges, { aliases: options.aliases });
+    result.nodes = linked.nodes;
+    // Rewritten endpoints can turn distinct edges into duplicates
+    result.edges = mergeEdges([], linked.edges).edges;
+    result.links = linked.links;
+  }
+
+  // Imported and older stored nodes get their kind inferred from the key
+  result.nodes = result.nodes.map(node => (node.kind ? node : { ...node, kind: nodeKind(node) }));
+
   await Promise.all([
-    fs.writeFile(
-      path.join(socialPath, 'posts.json'),
-      JSON.stringify(posts, null, 2),
-      'utf-8'
-    ),
-    fs.writeFile(
-      path.join(socialPath, 'nodes.json'),
-      JSON.stringify(nodes, null, 2),
-      'utf-8'
-    ),
-    fs.writeFile(
-      path.join(socialPath, 'edges.json'),
-      JSON.stringify(edges, null, 2),
-      'utf-8'
-    )
+    writeJsonFile(postsPath, result.posts),
+    writeJsonFile(nodesPath, result.nodes),
+    writeJsonFile(edgesPath, result.edges),
+    writeJsonFile(commentsPath, result.comments)
   ]);
+  invalidateGraphStore(socialPath);
+
+  return { mode, ...result };
 }
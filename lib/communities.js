@@ -1,37 +1,22 @@
 /**
- * Communities - Label propagation clustering
+ * Communities - Louvain modularity clustering and label propagation
  */
 
-import fs from 'fs/promises';
 import path from 'path';
+import { loadWeightedView } from './weights.js';
+import { loadGraphView, nodeKey, invalidateGraphStore, readJsonArray, writeJsonFile } from './graph-store.js';
+import { seededRandom, shuffle } from './random.js';
 
-async function loadGraph(socialPath) {
-  const nodesPath = path.join(socialPath, 'nodes.json');
-  const edgesPath = path.join(socialPath, 'edges.json');
-  const [nodes, edges] = await Promise.all([
-    fs.readFile(nodesPath, 'utf-8').then(JSON.parse).catch(() => []),
-    fs.readFile(edgesPath, 'utf-8').then(JSON.parse).catch(() => [])
-  ]);
-  return { nodes, edges };
-}
-
-function buildAdjacency(edges) {
-  const adj = new Map();
-  const add = (a, b) => {
-    if (!a || !b) return;
-    if (!adj.has(a)) adj.set(a, new Set());
-    adj.get(a).add(b);
-  };
-  for (const e of edges) {
-    add(e.from, e.to);
-    add(e.to, e.from);
-  }
-  return adj;
-}
-
-export async function labelPropagation({ socialPath, iterations = 10 }) {
-  const { nodes, edges } = await loadGraph(socialPath);
-  const adj = buildAdjacency(edges);
+export const COMMUNITY_ALGORITHMS = ['louvain', 'label-propagation'];
+
+/**
+ * Label propagation; with `weighted` neighbors vote with their interaction weight
+ */
+export async function labelPropagation({ socialPath, iterations = 10, weighted = false, ...view }) {
+  const graph = await loadGraphView(socialPath, view);
+  const { nodes } = graph;
+  const weights = weighted ? await loadWeightedView(socialPath, graph) : null;
+  const adj = weights || graph.adj;
   const keys = nodes.map(n => n.handle || n.id || n.did).filter(Boolean);
 
   const labels = {};
@@ -39,12 +24,12 @@ export async function labelPropagation({ socialPath, iterations = 10 }) {
 
   for (let i = 0; i < iterations; i++) {
     for (const k of keys) {
-      const neighbors = Array.from(adj.get(k) || []);
+      const neighbors = Array.from(adj.get(k)?.keys() || []);
       if (!neighbors.length) continue;
       const counts = {};
       for (const n of neighbors) {
         const label = labels[n];
-        counts[label] = (counts[label] || 0) + 1;
+        counts[label] = (counts[label] || 0) + (weights ? weights.get(k).get(n) : 1);
       }
       let bestLabel = labels[k];
       let bestCount = -1;
@@ -60,3 +45,192 @@ export async function labelPropagation({ socialPath, iterations = 10 }) {
 
   return labels;
 }
+
+/**
+ * Symmetric key -> Map(neighbor -> weight) between the view's nodes, without
+ * self-links; every link weighs 1 unless `weighted`
+ */
+async function loadLinkWeights(socialPath, graph, weighted) {
+  const keys = graph.nodes.map(nodeKey).filter(Boolean);
+  const known = new Set(keys);
+  const source = weighted ? await loadWeightedView(socialPath, graph) : graph.adj;
+
+  const links = new Map();
+  for (const key of keys) {
+    const neighbors = new Map();
+    for (const entry of source.get(key) || []) {
+      const [n, w] = weighted ? entry : [entry, 1];
+      if (n !== key && known.has(n) && w > 0) neighbors.set(n, w);
+    }
+    links.set(key, neighbors);
+  }
+  return { keys, links };
+}
+
+/**
+ * Modularity of a labeling: the share of link weight inside communities minus
+ * what random wiring with the same degrees would put there (scaled by `resolution`)
+ */
+export function modularity(links, labels, resolution = 1) {
+  let total = 0;
+  const inside = new Map();
+  const degree = new Map();
+
+  for (const [key, neighbors] of links) {
+    const label = labels[key];
+    for (const [n, w] of neighbors) {
+      total += w;
+      degree.set(label, (degree.get(label) || 0) + w);
+      if (labels[n] === label) inside.set(label, (inside.get(label) || 0) + w);
+    }
+  }
+  if (!total) return 0;
+
+  let q = 0;
+  for (const [label, sum] of degree) {
+    q += (inside.get(label) || 0) / total - resolution * (sum / total) ** 2;
+  }
+  return q;
+}
+
+/**
+ * Louvain phase 1: move nodes (in random order) to the neighboring community
+ * with the largest modularity gain until no move helps. `adjacency` is a list of
+ * Map(node -> weight); self-loops carry the weight inside aggregated nodes.
+ */
+function moveNodes(adjacency, resolution, random) {
+  const degree = adjacency.map(neighbors => Array.from(neighbors.values()).reduce((sum, w) => sum + w, 0));
+  const total = degree.reduce((sum, d) => sum + d, 0);
+  const community = adjacency.map((_, i) => i);
+  if (!total) return community;
+
+  const sums = degree.slice();
+  const order = shuffle(adjacency.map((_, i) => i), random);
+  let moved = true;
+
+  while (moved) {
+    moved = false;
+    for (const i of order) {
+      const current = community[i];
+      const toCommunity = new Map();
+      for (const [j, w] of adjacency[i]) {
+        if (j !== i) toCommunity.set(community[j], (toCommunity.get(community[j]) || 0) + w);
+      }
+
+      sums[current] -= degree[i];
+      const gain = (c) => (toCommunity.get(c) || 0) - resolution * sums[c] * degree[i] / total;
+      let best = current;
+      let bestGain = gain(current);
+      for (const c of toCommunity.keys()) {
+        const g = gain(c);
+        if (g > bestGain + 1e-12) {
+          best = c;
+          bestGain = g;
+        }
+      }
+      sums[best] += degree[i];
+
+      if (best !== current) {
+        community[i] = best;
+        moved = true;
+      }
+    }
+  }
+
+  return community;
+}
+
+/**
+ * Louvain phase 2: one node per community, links summed between them
+ */
+function aggregate(adjacency, community, count) {
+  const next = Array.from({ length: count }, () => new Map());
+  adjacency.forEach((neighbors, i) => {
+    const from = next[community[i]];
+    for (const [j, w] of neighbors) from.set(community[j], (from.get(community[j]) || 0) + w);
+  });
+  return next;
+}
+
+/**
+ * Louvain community detection. `resolution` above 1 favors smaller communities,
+ * below 1 larger ones; `seed` fixes the node order so runs are repeatable.
+ * A community is labeled by its best-connected member.
+ * Returns { labels, modularity, levels }.
+ */
+export async function louvain({ socialPath, weighted = false, resolution = 1, seed = 1, ...view }) {
+  const graph = await loadGraphView(socialPath, view);
+  const { keys, links } = await loadLinkWeights(socialPath, graph, weighted);
+  const random = seededRandom(seed);
+
+  const index = new Map(keys.map((key, i) => [key, i]));
+  let adjacency = keys.map(key => new Map(Array.from(links.get(key), ([n, w]) => [index.get(n), w])));
+  let membership = keys.map((_, i) => i);
+  let levels = 0;
+
+  for (;;) {
+    const community = moveNodes(adjacency, resolution, random);
+    const renumber = new Map();
+    community.forEach(c => renumber.has(c) || renumber.set(c, renumber.size));
+    if (renumber.size === adjacency.length) break;
+
+    levels++;
+    const merged = community.map(c => renumber.get(c));
+    membership = membership.map(node => merged[node]);
+    adjacency = aggregate(adjacency, merged, renumber.size);
+  }
+
+  const strength = (key) => Array.from(links.get(key).values()).reduce((sum, w) => sum + w, 0);
+  const leaders = new Map();
+  keys.forEach((key, i) => {
+    const leader = leaders.get(membership[i]);
+    const better = !leader || strength(key) > strength(leader) || (strength(key) === strength(leader) && key < leader);
+    if (better) leaders.set(membership[i], key);
+  });
+
+  const labels = {};
+  keys.forEach((key, i) => (labels[key] = leaders.get(membership[i])));
+  return { labels, modularity: modularity(links, labels, resolution), levels };
+}
+
+/**
+ * Communities with the chosen algorithm (louvain by default):
+ * { algorithm, labels, modularity }
+ */
+export async function detectCommunities({ algorithm = 'louvain', ...options }) {
+  if (!COMMUNITY_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown community algorithm: ${algorithm} (expected ${COMMUNITY_ALGORITHMS.join(' or ')})`);
+  }
+  if (algorithm === 'louvain') {
+    return { algorithm, ...(await louvain(options)) };
+  }
+
+  const { socialPath, weighted = false, resolution = 1, ...view } = options;
+  const labels = await labelPropagation({ socialPath, weighted, ...view });
+  const { links } = await loadLinkWeights(socialPath, await loadGraphView(socialPath, view), weighted);
+  return { algorithm, labels, modularity: modularity(links, labels, resolution) };
+}
+
+/**
+ * Store `labels` as `community` on every labelled node in nodes.json; nodes
+ * without a label (other kinds, no longer connected) lose any stale one
+ */
+export async function persistCommunities(socialPath, labels) {
+  const nodesPath = path.join(socialPath, 'nodes.json');
+  const nodes = await readJsonArray(nodesPath);
+  let updated = 0;
+
+  const saved = nodes.map(node => {
+    const rest = { ...node };
+    delete rest.community;
+    const key = node.handle || node.id || node.did;
+    if (labels[key] === undefined) return rest;
+
+    updated++;
+    return { ...rest, community: labels[key] };
+  });
+
+  await writeJsonFile(nodesPath, saved);
+  invalidateGraphStore(socialPath);
+  return { updated };
+}
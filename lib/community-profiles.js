@@ -0,0 +1,236 @@
+/**
+ * Community Profiles - Describe detected communities: auto-label, size, top
+ * members, dominant tags/submolts, post keywords, density and bridges
+ * Saved to communities.json by `graph communities`; the feed reads labels from it
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadGraphStore, loadGraphView, filterEdgesByTime, nodeKey } from './graph-store.js';
+import { pageRank } from './centrality.js';
+import { nodeKind } from './kinds.js';
+import { maskNonProse } from './tokenizer.js';
+
+const PROFILES_FILE = 'communities.json';
+
+// Words too common to say anything about a community
+const STOPWORDS = new Set(`
+  about above after again against all also and any are aren around because been before being below between both but can
+  cannot could did didn does doesn doing don down during each else even ever every few for from further get gets getting
+  got had has hasn have haven having her here hers herself him himself his how into isn its itself just let lets like
+  more most much must need needs new not now off once one only other our ours ourselves out over own really same she
+  should shouldn some still such than that the their theirs them themselves then there these they thing things this
+  those through too under until use used using very via want was wasn way well were weren what when where which while
+  who whom why will with without won would yes yet you your yours yourself yourselves today know make made see think
+  going good great https http www com
+`.trim().split(/\s+/));
+
+const WORD_PATTERN = /\p{L}[\p{L}\p{M}\p{N}'-]*[\p{L}\p{N}]/gu;
+const HANDLE_OR_TAG = /[@#][\p{L}\p{M}\p{N}_:-]+/gu;
+
+/**
+ * Distinct keywords of a text: lowercase words of 3+ letters, without code,
+ * URLs, @mentions, #tags and stopwords
+ */
+export function extractKeywords(text) {
+  if (!text || typeof text !== 'string') return [];
+  const prose = maskNonProse(text).replace(HANDLE_OR_TAG, ' ');
+  const words = new Set();
+  for (const [word] of prose.matchAll(WORD_PATTERN)) {
+    const lower = word.toLowerCase().replace(/'s$/, '');
+    if (lower.length >= 3 && !STOPWORDS.has(lower)) words.add(lower);
+  }
+  return Array.from(words);
+}
+
+function postTime(post) {
+  const time = Date.parse(post.timestamp || post.created_at || '');
+  return Number.isNaN(time) ? null : time;
+}
+
+function inWindow(time, window) {
+  if (!window) return true;
+  if (time === null) return false;
+  return (window.since === null || time >= window.since) && (window.until === null || time <= window.until);
+}
+
+const increment = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+const topEntries = (map, limit) => Array.from(map)
+  .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+  .slice(0, limit);
+
+// How much more a community uses a term than the graph as a whole (tf-idf)
+const distinctiveness = (count, used, total) => count * Math.log(total / used);
+
+/**
+ * Human-readable label from the two most distinctive tags/submolts shared by
+ * members, then keywords (terms everyone uses say nothing); "Around <top member>" otherwise
+ */
+function autoLabel(hubs, keywords, members) {
+  const ranked = (terms) => terms.filter(([, score]) => score > 0).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const picked = [];
+  for (const [term] of [...ranked(hubs), ...ranked(Array.from(keywords))]) {
+    if (!picked.includes(term)) picked.push(term);
+    if (picked.length === 2) break;
+  }
+  if (picked.length) return picked.join(' / ');
+  return members.length ? `Around ${members[0].node}` : 'Unnamed';
+}
+
+/**
+ * Profile every community in `labels` (node -> community id, as returned by
+ * detectCommunities) over the same graph view. Tags/submolts count the members
+ * using them and keywords the members' posts using them; keywords are ranked by
+ * how distinctive they are for the community.
+ * Returns profiles, largest community first:
+ * [{ id, label, size, members, tags, submolts, keywords, density, internal_links, external_links, bridges }]
+ */
+export async function profileCommunities({ socialPath, labels, weighted = false, top = 5, ...view }) {
+  const [graph, store, { scores }] = await Promise.all([
+    loadGraphView(socialPath, view),
+    loadGraphStore(socialPath),
+    pageRank({ socialPath, weighted, ...view })
+  ]);
+  const posts = await fs.readFile(path.join(socialPath, 'posts.json'), 'utf-8').then(JSON.parse).catch(() => []);
+
+  const communities = new Map();
+  const community = (id) => {
+    if (!communities.has(id)) {
+      communities.set(id, {
+        members: [], internal: 0, external: 0, bridges: new Map(),
+        tags: new Map(), submolts: new Map(), words: new Map(), posts: 0
+      });
+    }
+    return communities.get(id);
+  };
+  for (const key of graph.nodes.map(nodeKey)) {
+    if (labels[key] !== undefined) community(labels[key]).members.push(key);
+  }
+
+  // Links inside and between communities (each undirected link once)
+  for (const [a, neighbors] of graph.adj) {
+    for (const b of neighbors) {
+      if (a >= b || labels[a] === undefined || labels[b] === undefined) continue;
+      if (labels[a] === labels[b]) {
+        community(labels[a]).internal++;
+        continue;
+      }
+      for (const [from, to, member] of [[labels[a], labels[b], a], [labels[b], labels[a], b]]) {
+        const side = community(from);
+        side.external++;
+        if (!side.bridges.has(to)) side.bridges.set(to, { links: 0, via: new Map() });
+        side.bridges.get(to).links++;
+        increment(side.bridges.get(to).via, member);
+      }
+    }
+  }
+
+  // Tags and submolts: how many members use each (edges to hub nodes, within the window)
+  const hubUsers = new Map();
+  for (const edge of filterEdgesByTime(store.edges, graph.window)) {
+    const kind = nodeKind(edge.to);
+    if ((kind !== 'tag' && kind !== 'submolt') || labels[edge.from] === undefined) continue;
+    const name = edge.to.replace(/^#(tag|submolt):/, '');
+    const users = `${kind}\u0000${labels[edge.from]}\u0000${name}`;
+    if (!hubUsers.has(users)) hubUsers.set(users, new Set());
+    hubUsers.get(users).add(edge.from);
+  }
+  const hubTotals = new Map();
+  for (const [users, members] of hubUsers) {
+    const [kind, id, name] = users.split('\u0000');
+    increment(kind === 'tag' ? community(id).tags : community(id).submolts, name, members.size);
+    increment(hubTotals, `${kind}\u0000${name}`, members.size);
+  }
+  const agentCount = Object.keys(labels).length;
+
+  // Keywords: how many posts use each word, per community and overall
+  let postCount = 0;
+  const wordTotals = new Map();
+  for (const post of Array.isArray(posts) ? posts : []) {
+    const handle = post.author_handle || (typeof post.author === 'string' ? post.author : post.author?.handle) || '';
+    const author = store.resolve(handle) || handle;
+    if (labels[author] === undefined || !inWindow(postTime(post), graph.window)) continue;
+    const entry = community(labels[author]);
+    entry.posts++;
+    postCount++;
+    for (const word of extractKeywords([post.title, post.content || post.preview || post.body].filter(Boolean).join('\n'))) {
+      increment(entry.words, word);
+      increment(wordTotals, word);
+    }
+  }
+
+  const profiles = Array.from(communities, ([id, entry]) => {
+    const size = entry.members.length;
+    const members = entry.members
+      .map(node => ({ node, pagerank: Math.round((scores[node] || 0) * 1e6) / 1e6 }))
+      .sort((a, b) => b.pagerank - a.pagerank || a.node.localeCompare(b.node))
+      .slice(0, top);
+    const keywords = new Map(Array.from(entry.words, ([word, count]) => [word, distinctiveness(count, wordTotals.get(word), postCount)]));
+    const hubs = [['tag', entry.tags], ['submolt', entry.submolts]].flatMap(([kind, counts]) => Array.from(counts, ([name, count]) => (
+      [name.toLowerCase(), count >= Math.min(2, size) ? distinctiveness(count, hubTotals.get(`${kind}\u0000${name}`), agentCount) : 0]
+    )));
+
+    return {
+      id,
+      label: autoLabel(hubs, keywords, members),
+      size,
+      members,
+      tags: topEntries(entry.tags, top).map(([name, count]) => ({ name, members: count })),
+      submolts: topEntries(entry.submolts, top).map(([name, count]) => ({ name, members: count })),
+      keywords: topEntries(keywords, top).map(([word]) => ({ word, posts: entry.words.get(word) })),
+      posts: entry.posts,
+      density: size > 1 ? Math.round(entry.internal / (size * (size - 1) / 2) * 10000) / 10000 : 0,
+      internal_links: entry.internal,
+      external_links: entry.external,
+      bridges: topEntries(new Map(Array.from(entry.bridges, ([to, bridge]) => [to, bridge.links])), top).map(([to, links]) => ({
+        community: to,
+        links,
+        via: topEntries(entry.bridges.get(to).via, 3).map(([node]) => node)
+      }))
+    };
+  }).sort((a, b) => b.size - a.size || String(a.id).localeCompare(String(b.id)));
+
+  // Labels made unique by the top member; bridges name the community they lead to
+  const used = new Set();
+  for (const profile of profiles) {
+    if (used.has(profile.label) && profile.members.length) profile.label = `${profile.label} (${profile.members[0].node})`;
+    used.add(profile.label);
+  }
+  const labelOf = new Map(profiles.map(profile => [profile.id, profile.label]));
+  for (const profile of profiles) {
+    profile.bridges = profile.bridges.map(bridge => ({ ...bridge, label: labelOf.get(bridge.community) }));
+  }
+
+  return profiles;
+}
+
+/**
+ * Write communities.json: { generated_at, algorithm, modularity, communities }
+ */
+export async function saveCommunityProfiles(socialPath, { algorithm, modularity, profiles, now = Date.now() }) {
+  const payload = { generated_at: new Date(now).toISOString(), algorithm, modularity, communities: profiles };
+  await fs.mkdir(socialPath, { recursive: true });
+  await fs.writeFile(path.join(socialPath, PROFILES_FILE), JSON.stringify(payload, null, 2), 'utf-8');
+  return payload;
+}
+
+/**
+ * The saved profiles, or null before the first `graph communities`
+ */
+export async function loadCommunityProfiles(socialPath) {
+  const saved = await fs.readFile(path.join(socialPath, PROFILES_FILE), 'utf-8').then(JSON.parse).catch(() => null);
+  return Array.isArray(saved?.communities) ? saved : null;
+}
+
+/**
+ * The saved profile of the community `node` belongs to ("you belong to X")
+ */
+export async function communityOf(socialPath, node) {
+  const [store, saved] = await Promise.all([loadGraphStore(socialPath), loadCommunityProfiles(socialPath)]);
+  const found = store.node(node);
+  if (!found) throw new Error(`Node not found: ${node}`);
+  if (!saved) throw new Error('No community profiles yet (run graph communities first)');
+  if (!found.community) return null;
+  return saved.communities.find(profile => profile.id === found.community) || null;
+}
@@ -6,6 +6,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
+import { extractMentions as extractHandles } from './tokenizer.js';
 
 const DEFAULT_CLAWD_PATH = path.join(os.homedir(), 'clawd-work');
 
@@ -134,12 +135,9 @@ function extractCurrentFocus(memories) {
  */
 function extractMentions(memories) {
   const mentions = [];
-  const mentionPattern = /@([a-zA-Z0-9_-]+)/g;
 
   for (const memory of memories) {
-    const matches = memory.content.matchAll(mentionPattern);
-    for (const match of matches) {
-      const handle = match[0];
+    for (const handle of extractHandles(memory.content)) {
       if (!mentions.includes(handle)) {
         mentions.push(handle);
       }
@@ -0,0 +1,648 @@
+/**
+ * Formats - Graph interchange formats (GraphML, GEXF, JSON Lines, edge-list CSV)
+ *
+ * Nested node/edge fields are flattened to dotted attribute names (meta.karma);
+ * array values are stored as JSON under a name ending in [] (aliases[]).
+ * Non-string CSV columns carry a type suffix in the header (meta.karma:number).
+ */
+
+import path from 'path';
+
+export const FORMATS = {
+  json: { extensions: ['.json'] },
+  jsonl: { extensions: ['.jsonl', '.ndjson'] },
+  graphml: { extensions: ['.graphml'] },
+  gexf: { extensions: ['.gexf'] },
+  csv: { extensions: ['.csv'] }
+};
+
+/**
+ * Resolve a format from an explicit name or the file extension
+ */
+export function detectFormat(filePath, format) {
+  if (format) {
+    const name = String(format).toLowerCase();
+    if (!FORMATS[name]) {
+      throw new Error(`Unsupported format: ${format}. Use ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return name;
+  }
+
+  const ext = path.extname(filePath || '').toLowerCase();
+  const match = Object.entries(FORMATS).find(([, spec]) => spec.extensions.includes(ext));
+  if (!match) {
+    throw new Error(`Unsupported file type: ${ext || '(none)'}. Use ${Object.values(FORMATS).flatMap(f => f.extensions).join(', ')}`);
+  }
+  return match[0];
+}
+
+// ---------------------------------------------------------------------------
+// Flattening
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * { meta: { karma: 3 }, aliases: ['@a'] } -> { 'meta.karma': 3, 'aliases[]': '["@a"]' }
+ */
+export function flattenRecord(record, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(record)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      out[`${name}[]`] = JSON.stringify(value);
+    } else if (isPlainObject(value)) {
+      flattenRecord(value, name, out);
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+export function unflattenRecord(flat) {
+  const record = {};
+  for (const [name, value] of Object.entries(flat)) {
+    if (value === undefined || value === null || value === '') continue;
+    const isArray = name.endsWith('[]');
+    const parts = (isArray ? name.slice(0, -2) : name).split('.');
+    let target = record;
+    for (const part of parts.slice(0, -1)) {
+      if (!isPlainObject(target[part])) target[part] = {};
+      target = target[part];
+    }
+    target[parts[parts.length - 1]] = isArray ? JSON.parse(value) : value;
+  }
+  return record;
+}
+
+/**
+ * Column name -> 'boolean' | 'long' | 'double' | 'string', from the values seen
+ */
+function inferColumns(rows) {
+  const columns = new Map();
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      const type = typeof value === 'boolean' ? 'boolean' :
+        typeof value === 'number' ? (Number.isInteger(value) ? 'long' : 'double') :
+        'string';
+      const previous = columns.get(name);
+      if (!previous || previous === type) columns.set(name, type);
+      else if (['long', 'double'].includes(previous) && ['long', 'double'].includes(type)) columns.set(name, 'double');
+      else columns.set(name, 'string');
+    }
+  }
+  return columns;
+}
+
+function castValue(value, type) {
+  if (value === undefined || value === null || value === '') return undefined;
+  switch (type) {
+    case 'boolean':
+      return value === true || String(value).toLowerCase() === 'true';
+    case 'int':
+    case 'integer':
+    case 'long':
+    case 'float':
+    case 'double':
+    case 'number':
+      return Number(value);
+    default:
+      return String(value);
+  }
+}
+
+function nodeKey(node) {
+  return node.handle || node.id || node.did;
+}
+
+// ---------------------------------------------------------------------------
+// XML (just enough for GraphML/GEXF)
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeXml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    const lower = entity.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+  });
+}
+
+/**
+ * Parse XML into { name, attrs, children, text, line } elements (namespaces prefixes dropped)
+ */
+export function parseXml(content) {
+  const root = { name: '#document', attrs: {}, children: [], text: '', line: 1 };
+  const stack = [root];
+  let line = 1;
+  let lineIndex = 0;
+  const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  for (const match of content.matchAll(pattern)) {
+    const [, cdata, closing, rawName, rawAttrs, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    for (; lineIndex < match.index; lineIndex++) {
+      if (content[lineIndex] === '\n') line++;
+    }
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeXml(text);
+    } else if (rawName) {
+      const name = rawName.includes(':') ? rawName.split(':').pop() : rawName;
+      if (closing) {
+        if (stack.length > 1) stack.pop();
+        continue;
+      }
+      const attrs = {};
+      for (const [, key, , doubleQuoted, singleQuoted] of (rawAttrs || '').matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attrs[key.includes(':') ? key.split(':').pop() : key] = decodeXml(doubleQuoted ?? singleQuoted);
+      }
+      const element = { name, attrs, children: [], text: '', line };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+function childrenNamed(element, name) {
+  return (element?.children || []).filter(child => child.name === name);
+}
+
+function findElement(element, name) {
+  if (!element) return null;
+  if (element.name === name) return element;
+  for (const child of element.children) {
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// GraphML
+
+export function serializeGraphML({ nodes = [], edges = [] }) {
+  const nodeRows = nodes.map(node => flattenRecord(node));
+  const edgeRows = edges.map(edge => flattenRecord(edge));
+  const nodeColumns = inferColumns(nodeRows);
+  const edgeColumns = inferColumns(edgeRows);
+
+  const keyId = new Map();
+  const keys = [];
+  const declare = (scope, columns) => {
+    for (const [name, type] of columns) {
+      const id = `${scope[0]}${keyId.size}`;
+      keyId.set(`${scope}:${name}`, id);
+      keys.push(`  <key id="${id}" for="${scope}" attr.name="${escapeXml(name)}" attr.type="${type}"/>`);
+    }
+  };
+  declare('node', nodeColumns);
+  declare('edge', edgeColumns);
+
+  const dataLines = (scope, row) => Object.entries(row)
+    .map(([name, value]) => `      <data key="${keyId.get(`${scope}:${name}`)}">${escapeXml(value)}</data>`);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...keys,
+    '  <graph id="social" edgedefault="directed">'
+  ];
+
+  nodes.forEach((node, index) => {
+    lines.push(`    <node id="${escapeXml(nodeKey(node) || `n${index}`)}">`, ...dataLines('node', nodeRows[index]), '    </node>');
+  });
+  edges.forEach((edge, index) => {
+    lines.push(
+      `    <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}">`,
+      ...dataLines('edge', edgeRows[index]),
+      '    </edge>'
+    );
+  });
+
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+export function parseGraphML(content) {
+  const doc = parseXml(content);
+  const graphml = findElement(doc, 'graphml');
+  const graph = findElement(graphml, 'graph');
+  if (!graph) throw new Error('Invalid GraphML: no <graph> element');
+
+  const keys = new Map(childrenNamed(graphml, 'key').map(key => [key.attrs.id, {
+    name: key.attrs['attr.name'] || key.attrs.id,
+    type: key.attrs['attr.type'] || 'string'
+  }]));
+
+  const readData = (element) => {
+    const flat = {};
+    for (const data of childrenNamed(element, 'data')) {
+      const key = keys.get(data.attrs.key) || { name: data.attrs.key, type: 'string' };
+      flat[key.name] = castValue(data.text, key.type);
+    }
+    return unflattenRecord(flat);
+  };
+
+  const nodeElements = childrenNamed(graph, 'node');
+  const edgeElements = childrenNamed(graph, 'edge');
+
+  const nodes = nodeElements.map(element => {
+    const node = readData(element);
+    if (!node.id && !node.handle) node.id = element.attrs.id;
+    return node;
+  });
+
+  const edges = edgeElements.map(element => ({
+    ...readData(element),
+    from: element.attrs.source,
+    to: element.attrs.target
+  }));
+
+  return {
+    nodes,
+    edges,
+    posts: [],
+    locations: { nodes: nodeElements.map(e => e.line), edges: edgeElements.map(e => e.line) }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// GEXF
+
+const GEXF_TYPES = { long: 'long', double: 'double', boolean: 'boolean', string: 'string' };
+
+export function serializeGEXF({ nodes = [], edges = [] }) {
+  const nodeRows = nodes.map(node => flattenRecord(node));
+  const edgeRows = edges.map(edge => flattenRecord(edge));
+  const nodeColumns = [...inferColumns(nodeRows)];
+  const edgeColumns = [...inferColumns(edgeRows)];
+
+  const attributeBlock = (scope, columns) => [
+    `    <attributes class="${scope}" mode="static">`,
+    ...columns.map(([name, type], index) => `      <attribute id="${index}" title="${escapeXml(name)}" type="${GEXF_TYPES[type]}"/>`),
+    '    </attributes>'
+  ];
+
+  const attvalues = (columns, row) => {
+    const values = columns
+      .map(([name], index) => row[name] === undefined ? null : `          <attvalue for="${index}" value="${escapeXml(row[name])}"/>`)
+      .filter(Boolean);
+    return values.length ? ['        <attvalues>', ...values, '        </attvalues>'] : [];
+  };
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    '  <graph mode="static" defaultedgetype="directed">',
+    ...attributeBlock('node', nodeColumns),
+    ...attributeBlock('edge', edgeColumns),
+    '    <nodes>'
+  ];
+
+  nodes.forEach((node, index) => {
+    const key = nodeKey(node) || `n${index}`;
+    lines.push(
+      `      <node id="${escapeXml(key)}" label="${escapeXml(node.name || key)}">`,
+      ...attvalues(nodeColumns, nodeRows[index]),
+      '      </node>'
+    );
+  });
+
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach((edge, index) => {
+    const label = edge.type ? ` label="${escapeXml(edge.type)}"` : '';
+    lines.push(
+      `      <edge id="e${index}" source="${escapeXml(edge.from)}" target="${escapeXml(edge.to)}"${label}>`,
+      ...attvalues(edgeColumns, edgeRows[index]),
+      '      </edge>'
+    );
+  });
+
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+export function parseGEXF(content) {
+  const doc = parseXml(content);
+  const graph = findElement(findElement(doc, 'gexf'), 'graph');
+  if (!graph) throw new Error('Invalid GEXF: no <graph> element');
+
+  const attributes = { node: new Map(), edge: new Map() };
+  for (const block of childrenNamed(graph, 'attributes')) {
+    const scope = block.attrs.class === 'edge' ? 'edge' : 'node';
+    for (const attribute of childrenNamed(block, 'attribute')) {
+      attributes[scope].set(attribute.attrs.id, {
+        name: attribute.attrs.title || attribute.attrs.id,
+        type: attribute.attrs.type || 'string'
+      });
+    }
+  }
+
+  const readValues = (element, scope) => {
+    const flat = {};
+    for (const value of childrenNamed(childrenNamed(element, 'attvalues')[0], 'attvalue')) {
+      const attribute = attributes[scope].get(value.attrs.for) || { name: value.attrs.for, type: 'string' };
+      flat[attribute.name] = castValue(value.attrs.value, attribute.type);
+    }
+    return unflattenRecord(flat);
+  };
+
+  const nodeElements = childrenNamed(childrenNamed(graph, 'nodes')[0], 'node');
+  const edgeElements = childrenNamed(childrenNamed(graph, 'edges')[0], 'edge');
+
+  const nodes = nodeElements.map(element => {
+    const node = readValues(element, 'node');
+    if (!node.id && !node.handle) node.id = element.attrs.id;
+    if (!node.name && element.attrs.label) node.name = element.attrs.label;
+    return node;
+  });
+
+  const edges = edgeElements.map(element => {
+    const edge = readValues(element, 'edge');
+    // Gephi stores our edge type as the label when no attribute is present
+    if (!edge.type && element.attrs.label) edge.type = element.attrs.label;
+    return { ...edge, from: element.attrs.source, to: element.attrs.target };
+  });
+
+  return {
+    nodes,
+    edges,
+    posts: [],
+    locations: { nodes: nodeElements.map(e => e.line), edges: edgeElements.map(e => e.line) }
+  };
+}
+
+// ---------------------------------------------------------------------------
+// JSON Lines: one { type: 'node' | 'edge' | 'post' | 'comment', data } per line
+
+const JSONL_TYPES = { node: 'nodes', edge: 'edges', post: 'posts', comment: 'comments' };
+
+export function serializeJsonLines({ nodes = [], edges = [], posts = [], comments = [] }) {
+  const lines = [];
+  const collections = { nodes, edges, posts, comments };
+  for (const [type, collection] of Object.entries(JSONL_TYPES)) {
+    for (const data of collections[collection]) lines.push(JSON.stringify({ type, data }));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Unparseable lines are reported in `issues` rather than aborting the whole file
+ */
+export function parseJsonLines(content) {
+  const graph = { nodes: [], edges: [], posts: [], comments: [] };
+  const locations = { nodes: [], edges: [], posts: [], comments: [] };
+  const issues = [];
+
+  content.split('\n').forEach((text, index) => {
+    if (!text.trim()) return;
+    const line = index + 1;
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (error) {
+      issues.push({ severity: 'error', code: 'parse_error', line, message: `Invalid JSON: ${error.message}` });
+      return;
+    }
+    const collection = JSONL_TYPES[record?.type];
+    if (!collection || !isPlainObject(record.data)) {
+      issues.push({
+        severity: 'error',
+        code: 'parse_error',
+        line,
+        message: 'Expected { "type": "node" | "edge" | "post" | "comment", "data": {...} }'
+      });
+      return;
+    }
+    graph[collection].push(record.data);
+    locations[collection].push(line);
+  });
+
+  return { ...graph, locations, issues };
+}
+
+// ---------------------------------------------------------------------------
+// CSV (RFC 4180 quoting)
+
+/**
+ * CSV -> [{ cells, line }] where `line` is the row's first line in the file.
+ * Throws on an unterminated quoted field.
+ */
+export function parseCsvLines(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push({ cells: row, line: rowLine });
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\n') line++;
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      endRow();
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== '' || row.length) endRow();
+
+  // Drop blank lines and a leading BOM
+  if (rows[0]?.cells[0]) rows[0].cells[0] = rows[0].cells[0].replace(/^\uFEFF/, '');
+  return rows.filter(r => r.cells.some(cell => cell.trim() !== ''));
+}
+
+export function parseCsv(content) {
+  return parseCsvLines(content).map(row => row.cells);
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_TYPE_SUFFIX = { long: 'number', double: 'number', boolean: 'boolean' };
+
+/**
+ * Rows -> CSV with typed headers; `leading` columns come first in that order
+ */
+export function serializeCsvRows(records, leading = []) {
+  const rows = records.map(record => flattenRecord(record));
+  const columns = inferColumns(rows);
+  const names = [...leading.filter(name => columns.has(name)), ...[...columns.keys()].filter(name => !leading.includes(name))];
+  const header = names.map(name => CSV_TYPE_SUFFIX[columns.get(name)] ? `${name}:${CSV_TYPE_SUFFIX[columns.get(name)]}` : name);
+
+  return [header, ...rows.map(row => names.map(name => row[name]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * CSV -> { records, lines, issues }, honoring name:type header suffixes
+ */
+export function parseCsvRows(content) {
+  const [header = { cells: [] }, ...rows] = parseCsvLines(content);
+  const columns = header.cells.map(cell => {
+    const [name, type = 'string'] = cell.trim().split(':');
+    return { name, type };
+  });
+  const records = [];
+  const lines = [];
+  const issues = [];
+
+  for (const { cells, line } of rows) {
+    if (cells.length > columns.length) {
+      issues.push({
+        severity: 'warning',
+        code: 'extra_columns',
+        line,
+        message: `Row has ${cells.length} fields but the header has ${columns.length}; extra fields ignored`
+      });
+    }
+    const flat = {};
+    try {
+      columns.forEach(({ name, type }, index) => {
+        flat[name] = castValue(cells[index]?.trim(), type);
+      });
+      records.push(unflattenRecord(flat));
+      lines.push(line);
+    } catch (error) {
+      issues.push({ severity: 'error', code: 'parse_error', line, message: error.message });
+    }
+  }
+
+  return { records, lines, issues };
+}
+
+/**
+ * Edge list when the header has from/to (or Gephi's Source/Target), node list otherwise
+ */
+export function parseCsvGraph(content) {
+  const header = (parseCsv(content)[0] || []).map(cell => cell.trim().split(':')[0]);
+  const has = (name) => header.includes(name);
+  const { records, lines, issues } = parseCsvRows(content);
+
+  if (has('from') && has('to')) {
+    return { nodes: [], edges: records, posts: [], locations: { edges: lines }, issues };
+  }
+  if (has('Source') && has('Target')) {
+    const edges = records.map(({ Source, Target, Type, Label, ...rest }) => ({
+      from: Source,
+      to: Target,
+      ...(Label ? { type: Label } : {}),
+      ...rest
+    }));
+    return { nodes: [], edges, posts: [], locations: { edges: lines }, issues };
+  }
+
+  const nodes = records.map(({ Id, Label, ...rest }) => ({
+    ...(Id && !rest.id && !rest.handle ? { id: Id } : {}),
+    ...(Label && !rest.name ? { name: Label } : {}),
+    ...rest
+  }));
+  return { nodes, edges: [], posts: [], locations: { nodes: lines }, issues };
+}
+
+/**
+ * Companion node file written next to an edge-list CSV: graph.csv -> graph.nodes.csv
+ */
+export function csvNodesPath(edgesPath) {
+  const ext = path.extname(edgesPath);
+  return `${edgesPath.slice(0, edgesPath.length - ext.length)}.nodes${ext || '.csv'}`;
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize a graph. CSV returns { edges, nodes } (two files); other formats a string.
+ */
+export function serializeGraph(graph, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({
+        nodes: graph.nodes || [],
+        edges: graph.edges || [],
+        posts: graph.posts || [],
+        comments: graph.comments || []
+      }, null, 2) + '\n';
+    case 'jsonl':
+      return serializeJsonLines(graph);
+    case 'graphml':
+      return serializeGraphML(graph);
+    case 'gexf':
+      return serializeGEXF(graph);
+    case 'csv':
+      return {
+        edges: serializeCsvRows(graph.edges || [], ['from', 'to', 'type', 'timestamp']),
+        nodes: serializeCsvRows(graph.nodes || [], ['id', 'handle', 'name', 'did'])
+      };
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
+
+/**
+ * Parse GraphML, GEXF, JSON Lines or CSV content
+ */
+export function parseGraph(content, format) {
+  switch (format) {
+    case 'jsonl':
+      return parseJsonLines(content);
+    case 'graphml':
+      return parseGraphML(content);
+    case 'gexf':
+      return parseGEXF(content);
+    case 'csv':
+      return parseCsvGraph(content);
+    default:
+      throw new Error(`Unsupported format: ${format}`);
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Graph Diff - What changed between two versions of the graph
+ * New/removed nodes, new/lost relationships, weight changes and PageRank movers
+ */
+
+import { createGraphStore, nodeKey } from './graph-store.js';
+import { aggregateEdges, loadWeightSettings } from './weights.js';
+import { pageRankScores } from './centrality.js';
+import { loadSnapshot } from './snapshots.js';
+
+const pairKey = (edge) => `${edge.from}\u0000${edge.to}`;
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Nodes, weighted pairs and PageRank positions of one side, restricted to `kinds`
+ */
+function describeSide(graph, { kinds, settings, now }) {
+  const store = createGraphStore(graph);
+  const nodes = store.nodesFor({ kinds });
+  const edges = store.edgesFor({ kinds });
+
+  const adj = new Map();
+  for (const [key, neighbors] of store.adjacency({ kinds })) {
+    adj.set(key, new Map(Array.from(neighbors, n => [n, 1])));
+  }
+  const { scores } = pageRankScores(nodes, adj);
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  return {
+    keys: new Set(nodes.map(nodeKey).filter(Boolean)),
+    pairs: new Map(aggregateEdges(edges, { ...settings, now }).map(pair => [pairKey(pair), pair])),
+    ranks: new Map(ranked.map(([key, score], index) => [key, { rank: index + 1, score }])),
+    edgeCount: edges.length
+  };
+}
+
+const relationship = ({ from, to, weight, count, types }) => ({ from, to, weight, count, types });
+
+/**
+ * Compare two graphs ({ nodes, edges }). Both sides are weighed as of `now`
+ * (the later side's time), so a weight only changes when interactions were
+ * added or removed, not because the older side has aged.
+ */
+export function diffGraphs(before, after, { kinds, typeWeights, halfLifeDays, now = Date.now() } = {}) {
+  const options = { kinds, settings: { typeWeights, halfLifeDays }, now };
+  const a = describeSide(before, options);
+  const b = describeSide(after, options);
+
+  const weights = [];
+  for (const [key, pair] of b.pairs) {
+    const previous = a.pairs.get(key);
+    if (!previous) continue;
+    const change = round(pair.weight - previous.weight);
+    if (change !== 0) {
+      weights.push({ from: pair.from, to: pair.to, before: previous.weight, after: pair.weight, change, count: pair.count - previous.count });
+    }
+  }
+
+  const ranks = [];
+  for (const [key, { rank, score }] of b.ranks) {
+    const previous = a.ranks.get(key);
+    if (!previous || previous.rank === rank) continue;
+    ranks.push({ node: key, before: previous.rank, after: rank, change: previous.rank - rank, score: round(score) });
+  }
+
+  return {
+    nodes: {
+      added: Array.from(b.keys).filter(key => !a.keys.has(key)).sort(),
+      removed: Array.from(a.keys).filter(key => !b.keys.has(key)).sort()
+    },
+    relationships: {
+      added: Array.from(b.pairs.values()).filter(pair => !a.pairs.has(pairKey(pair))).sort((x, y) => y.weight - x.weight).map(relationship),
+      removed: Array.from(a.pairs.values()).filter(pair => !b.pairs.has(pairKey(pair))).sort((x, y) => y.weight - x.weight).map(relationship)
+    },
+    weights: weights.sort((x, y) => Math.abs(y.change) - Math.abs(x.change)),
+    ranks: ranks.sort((x, y) => Math.abs(y.change) - Math.abs(x.change) || x.after - y.after),
+    counts: {
+      nodes: { before: a.keys.size, after: b.keys.size },
+      edges: { before: a.edgeCount, after: b.edgeCount }
+    }
+  };
+}
+
+/**
+ * Diff two stored graphs: `from` and `to` are snapshot references (see
+ * loadSnapshot). Defaults compare the newest snapshot, taken before the last
+ * collection, with the current graph.
+ */
+export async function diffSnapshots({ socialPath, from = '1', to = 'current', kinds }) {
+  const [before, after] = await Promise.all([loadSnapshot(socialPath, from), loadSnapshot(socialPath, to)]);
+  const settings = await loadWeightSettings({ socialPath });
+  const now = Date.parse(after.taken_at) || Date.now();
+
+  return {
+    from: { label: before.label, taken_at: before.taken_at },
+    to: { label: after.label, taken_at: after.taken_at },
+    ...diffGraphs(before, after, { kinds, ...settings, now })
+  };
+}
@@ -2,74 +2,44 @@
  * Graph Engine - Core graph queries
  */
 
-import fs from 'fs/promises';
-import path from 'path';
+import { weighEdges, weightToStrength } from './weights.js';
+import {
+  loadGraphStore,
+  buildAdjacency,
+  resolveTimeWindow,
+  describeTimeWindow,
+  filterEdgesByTime
+} from './graph-store.js';
 
-async function loadGraph(socialPath) {
-  const nodesPath = path.join(socialPath, 'nodes.json');
-  const edgesPath = path.join(socialPath, 'edges.json');
+const DIRECTIONS = ['out', 'in', 'both'];
 
-  const [nodes, edges] = await Promise.all([
-    fs.readFile(nodesPath, 'utf-8').then(JSON.parse).catch(() => []),
-    fs.readFile(edgesPath, 'utf-8').then(JSON.parse).catch(() => [])
-  ]);
-
-  return { nodes, edges };
-}
-
-function buildNodeIndex(nodes) {
-  const nodeByKey = new Map();
-
-  for (const node of nodes) {
-    const id = node.id || node.did;
-    const handle = node.handle;
-
-    if (id) nodeByKey.set(id, node);
-    if (handle) nodeByKey.set(handle, node);
-    if (handle && handle.startsWith('@')) {
-      nodeByKey.set(handle.slice(1), node);
-    }
-  }
-
-  return nodeByKey;
-}
-
-function resolveNodeKey(input, nodeByKey) {
-  if (!input) return null;
-  if (nodeByKey.has(input)) return input;
-  const withAt = input.startsWith('@') ? input : `@${input}`;
-  if (nodeByKey.has(withAt)) return withAt;
-  if (nodeByKey.has(input.replace(/^@/, ''))) return input.replace(/^@/, '');
-  return null;
-}
-
-function buildAdjacency(edges) {
-  const adjacency = new Map();
-
-  const addEdge = (from, to) => {
-    if (!from || !to) return;
-    if (!adjacency.has(from)) adjacency.set(from, new Set());
-    adjacency.get(from).add(to);
-  };
-
-  for (const edge of edges) {
-    addEdge(edge.from, edge.to);
-    addEdge(edge.to, edge.from); // treat as undirected for now
+/**
+ * 'out' follows edges from -> to (who a node mentions/replies to), 'in' the
+ * reverse (who mentions it), 'both' ignores direction. `directed: true` means 'out'.
+ */
+function resolveDirection({ direction, directed } = {}) {
+  const resolved = direction || (directed ? 'out' : 'both');
+  if (!DIRECTIONS.includes(resolved)) {
+    throw new Error(`Invalid direction: ${resolved} (expected ${DIRECTIONS.join(', ')})`);
   }
-
-  return adjacency;
+  return resolved;
 }
 
-export async function getNeighbors({ socialPath, node, hops = 1 }) {
-  const graph = await loadGraph(socialPath);
-  const nodeByKey = buildNodeIndex(graph.nodes);
-  const startKey = resolveNodeKey(node, nodeByKey);
+/**
+ * k-hop neighborhood. Every query here also takes `since`/`until`/`asOf`
+ * (see resolveTimeWindow) to look only at interactions inside that window.
+ */
+export async function getNeighbors({ socialPath, node, hops = 1, direction, directed, kinds, since, until, asOf }) {
+  const store = await loadGraphStore(socialPath);
+  const startKey = store.resolve(node);
 
   if (!startKey) {
     throw new Error(`Node not found: ${node}`);
   }
 
-  const adjacency = buildAdjacency(graph.edges);
+  const resolved = resolveDirection({ direction, directed });
+  const window = resolveTimeWindow({ since, until, asOf });
+  const adjacency = store.adjacency({ direction: resolved, kinds, keep: [startKey], window });
   const visited = new Set([startKey]);
   let frontier = new Set([startKey]);
 
@@ -87,71 +57,421 @@ export async function getNeighbors({ socialPath, node, hops = 1 }) {
     frontier = next;
   }
 
-  const nodes = graph.nodes.filter(n => {
-    const key = n.handle || n.id || n.did;
-    return visited.has(key) || visited.has(n.id) || visited.has(n.handle);
+  const nodes = store.nodes.filter(n => visited.has(n.handle) || visited.has(n.id) || visited.has(n.did));
+  const edges = store.edgesFor({ kinds, keep: [startKey], window }).filter(e => visited.has(e.from) && visited.has(e.to));
+
+  return { startKey, direction: resolved, window: describeTimeWindow(window), nodes, edges };
+}
+
+/**
+ * Edges a path may traverse: `edgeTypes` keeps only those types, `excludeTypes` drops them
+ */
+function filterEdgeTypes(edges, { edgeTypes, excludeTypes } = {}) {
+  const only = edgeTypes?.length ? new Set(edgeTypes) : null;
+  const skip = new Set(excludeTypes || []);
+  return edges.filter(edge => {
+    const type = edge.type || 'mention';
+    return (!only || only.has(type)) && !skip.has(type);
   });
+}
+
+/**
+ * node -> Map(neighbor -> hop cost). Unweighted hops cost 1; weighted hops cost
+ * -ln(strength), so the cheapest path is the one whose hop strengths multiply highest.
+ */
+function buildCostAdjacency(edges, direction, strengths) {
+  const adjacency = new Map();
+  const add = (from, to, cost) => {
+    if (!from || !to || from === to || !Number.isFinite(cost)) return;
+    if (!adjacency.has(from)) adjacency.set(from, new Map());
+    adjacency.get(from).set(to, cost);
+  };
 
-  const edges = graph.edges.filter(e => visited.has(e.from) && visited.has(e.to));
+  if (!strengths) {
+    for (const [from, neighbors] of buildAdjacency(edges, direction)) {
+      for (const to of neighbors) add(from, to, 1);
+    }
+    return adjacency;
+  }
 
-  return { startKey, nodes, edges };
+  for (const [pair, weight] of strengths) {
+    const [from, to] = pair.split('\u0000');
+    const reverse = strengths.get(`${to}\u0000${from}`) || 0;
+    const combined = direction === 'both' ? weight + reverse : weight;
+    const cost = -Math.log(weightToStrength(combined));
+    if (direction !== 'in') add(from, to, cost);
+    if (direction !== 'out') add(to, from, cost);
+  }
+  return adjacency;
 }
 
-export async function shortestPath({ socialPath, from, to }) {
-  const graph = await loadGraph(socialPath);
-  const nodeByKey = buildNodeIndex(graph.nodes);
-  const fromKey = resolveNodeKey(from, nodeByKey);
-  const toKey = resolveNodeKey(to, nodeByKey);
+/**
+ * Binary min-heap on [cost, seq, node]; seq keeps equal-cost pops in insertion
+ * order so unit-cost searches visit nodes exactly like BFS
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
 
-  if (!fromKey || !toKey) {
-    throw new Error(`Node not found: ${!fromKey ? from : to}`);
+  get size() {
+    return this.items.length;
   }
 
-  const adjacency = buildAdjacency(graph.edges);
-  const queue = [fromKey];
-  const visited = new Set([fromKey]);
-  const prev = new Map();
+  less(i, j) {
+    const [a, b] = [this.items[i], this.items[j]];
+    return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  }
+
+  swap(i, j) {
+    [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+  }
 
-  while (queue.length > 0) {
-    const current = queue.shift();
-    if (current === toKey) break;
+  push(item) {
+    this.items.push(item);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.less(i, parent)) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
 
-    const neighbors = adjacency.get(current) || new Set();
-    for (const neighbor of neighbors) {
-      if (!visited.has(neighbor)) {
-        visited.add(neighbor);
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const [l, r] = [2 * i + 1, 2 * i + 2];
+        let smallest = i;
+        if (l < this.items.length && this.less(l, smallest)) smallest = l;
+        if (r < this.items.length && this.less(r, smallest)) smallest = r;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Dijkstra from `source` to `target`, skipping blocked nodes and "from\0to" edges.
+ * Returns { path, cost } or null.
+ */
+function dijkstra(adjacency, source, target, { blockedNodes = new Set(), blockedEdges = new Set(), canPass = () => true } = {}) {
+  const dist = new Map([[source, 0]]);
+  const prev = new Map();
+  const done = new Set();
+  const heap = new MinHeap();
+  let seq = 0;
+  heap.push([0, seq++, source]);
+
+  while (heap.size) {
+    const [cost, , current] = heap.pop();
+    if (done.has(current)) continue;
+    done.add(current);
+    if (current === target) break;
+    if (current !== source && !canPass(current)) continue;
+
+    for (const [neighbor, hopCost] of adjacency.get(current) || []) {
+      if (blockedNodes.has(neighbor) || blockedEdges.has(`${current}\u0000${neighbor}`)) continue;
+      const next = cost + hopCost;
+      if (next < (dist.get(neighbor) ?? Infinity)) {
+        dist.set(neighbor, next);
         prev.set(neighbor, current);
-        queue.push(neighbor);
+        heap.push([next, seq++, neighbor]);
       }
     }
   }
 
-  if (!visited.has(toKey)) return { fromKey, toKey, path: [] };
+  if (!done.has(target)) return null;
 
   const path = [];
-  let cursor = toKey;
-  while (cursor) {
+  for (let cursor = target; cursor !== undefined; cursor = prev.get(cursor)) {
     path.unshift(cursor);
-    cursor = prev.get(cursor);
   }
+  return { path, cost: dist.get(target) };
+}
 
-  return { fromKey, toKey, path };
+function pathCost(adjacency, path) {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    cost += adjacency.get(path[i]).get(path[i + 1]);
+  }
+  return cost;
 }
 
-export async function commonNeighbors({ socialPath, a, b }) {
-  const graph = await loadGraph(socialPath);
-  const nodeByKey = buildNodeIndex(graph.nodes);
-  const aKey = resolveNodeKey(a, nodeByKey);
-  const bKey = resolveNodeKey(b, nodeByKey);
+/**
+ * Yen's algorithm: up to k loopless paths in order of increasing cost
+ */
+function kShortestPaths(adjacency, source, target, k, options) {
+  const first = dijkstra(adjacency, source, target, options);
+  if (!first) return [];
+
+  const found = [first];
+  const candidates = [];
+  const seen = new Set([first.path.join('\u0000')]);
+
+  while (found.length < k) {
+    const last = found[found.length - 1].path;
+
+    for (let i = 0; i < last.length - 1; i++) {
+      const spur = last[i];
+      const root = last.slice(0, i + 1);
+      const rootKey = root.join('\u0000');
+
+      // Block the next hop of every known path sharing this root, and the root itself
+      const blockedEdges = new Set(options.blockedEdges);
+      for (const { path } of found) {
+        if (path.length > i + 1 && path.slice(0, i + 1).join('\u0000') === rootKey) {
+          blockedEdges.add(`${path[i]}\u0000${path[i + 1]}`);
+        }
+      }
+      const blockedNodes = new Set([...(options.blockedNodes || []), ...root.slice(0, -1)]);
+
+      const spurPath = dijkstra(adjacency, spur, target, { ...options, blockedNodes, blockedEdges });
+      if (!spurPath) continue;
+
+      const path = [...root.slice(0, -1), ...spurPath.path];
+      const key = path.join('\u0000');
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push({ path, cost: pathCost(adjacency, path) });
+    }
+
+    if (!candidates.length) break;
+    candidates.sort((a, b) => a.cost - b.cost || a.path.length - b.path.length);
+    found.push(candidates.shift());
+  }
+
+  return found;
+}
+
+/**
+ * The raw edges behind each hop of a path (in the traversed direction)
+ */
+function explainHops(path, edges, direction) {
+  const byPair = new Map();
+  for (const edge of edges) {
+    const key = `${edge.from}\u0000${edge.to}`;
+    if (!byPair.has(key)) byPair.set(key, []);
+    byPair.get(key).push(edge);
+  }
+
+  const hops = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const [a, b] = [path[i], path[i + 1]];
+    const forward = direction === 'in' ? [] : byPair.get(`${a}\u0000${b}`) || [];
+    const backward = direction === 'out' ? [] : byPair.get(`${b}\u0000${a}`) || [];
+    hops.push({
+      from: a,
+      to: b,
+      edges: [...forward, ...backward].map(edge => ({
+        from: edge.from,
+        to: edge.to,
+        type: edge.type || 'mention',
+        context: edge.context,
+        timestamp: edge.timestamp,
+        source: edge.source
+      }))
+    });
+  }
+  return hops;
+}
+
+/**
+ * Shortest path(s) between two nodes.
+ * - `weighted`: Dijkstra over interaction strength (strong ties are short)
+ * - `k`: up to k alternative loopless paths (Yen's algorithm)
+ * - `edgeTypes` / `excludeTypes`: only traverse / never traverse these edge types
+ * - `kinds`: node kinds a path may visit (default agents only; see lib/kinds.js)
+ * - `excludeHubs`: never route through #tag: / #submolt: pseudo-nodes; `excludeNodes` blocks others
+ * Returns the best path as `path` plus every path with its cost and the edges behind each hop.
+ */
+export async function shortestPath({
+  socialPath,
+  from,
+  to,
+  direction,
+  directed,
+  weighted = false,
+  k = 1,
+  edgeTypes,
+  excludeTypes,
+  excludeHubs = false,
+  excludeNodes = [],
+  kinds,
+  since,
+  until,
+  asOf
+}) {
+  const store = await loadGraphStore(socialPath);
+  const fromKey = store.resolve(from);
+  const toKey = store.resolve(to);
+
+  if (!fromKey || !toKey) {
+    throw new Error(`Node not found: ${!fromKey ? from : to}`);
+  }
+
+  const resolved = resolveDirection({ direction, directed });
+  const window = resolveTimeWindow({ since, until, asOf });
+  const edges = filterEdgeTypes(store.edgesFor({ kinds, keep: [fromKey, toKey], window }), { edgeTypes, excludeTypes });
+
+  let strengths = null;
+  if (weighted) {
+    const weightedEdges = await weighEdges({ socialPath, edges, now: window?.until ?? undefined });
+    strengths = new Map(weightedEdges.map(e => [`${e.from}\u0000${e.to}`, e.weight]));
+  }
+
+  const adjacency = buildCostAdjacency(edges, resolved, strengths);
+  const blockedNodes = new Set(excludeNodes.map(n => store.resolve(n) || n).filter(n => n !== fromKey && n !== toKey));
+  const canPass = (node) => !(excludeHubs && node.startsWith('#'));
+
+  const found = fromKey === toKey ?
+    [{ path: [fromKey], cost: 0 }] :
+    kShortestPaths(adjacency, fromKey, toKey, Math.max(1, k), { blockedNodes, canPass });
+
+  const paths = found.map(({ path, cost }) => ({
+    path,
+    cost: Math.round(cost * 10000) / 10000,
+    ...(weighted ? { strength: Math.round(Math.exp(-cost) * 10000) / 10000 } : {}),
+    hops: explainHops(path, edges, resolved)
+  }));
+
+  return { fromKey, toKey, direction: resolved, weighted, window: describeTimeWindow(window), path: paths[0]?.path || [], paths };
+}
+
+/**
+ * Nodes both a and b link to ('out'), are linked from ('in'), or either ('both')
+ */
+export async function commonNeighbors({ socialPath, a, b, direction, directed, kinds, since, until, asOf }) {
+  const store = await loadGraphStore(socialPath);
+  const aKey = store.resolve(a);
+  const bKey = store.resolve(b);
 
   if (!aKey || !bKey) {
     throw new Error(`Node not found: ${!aKey ? a : b}`);
   }
 
-  const adjacency = buildAdjacency(graph.edges);
+  const resolved = resolveDirection({ direction, directed });
+  const window = resolveTimeWindow({ since, until, asOf });
+  const adjacency = store.adjacency({ direction: resolved, kinds, keep: [aKey, bKey], window });
   const aNeighbors = adjacency.get(aKey) || new Set();
   const bNeighbors = adjacency.get(bKey) || new Set();
   const common = Array.from(aNeighbors).filter(n => bNeighbors.has(n));
 
-  return { aKey, bKey, common };
+  return { aKey, bKey, direction: resolved, window: describeTimeWindow(window), common };
+}
+
+/**
+ * Per-neighbor interaction summary for one direction of a node's edges
+ */
+function summarizeLinks(edges, key, direction) {
+  const [self, other] = direction === 'in' ? ['to', 'from'] : ['from', 'to'];
+  const byNeighbor = new Map();
+
+  for (const edge of edges) {
+    if (edge[self] !== key || !edge[other] || edge[other] === key) continue;
+    const neighbor = edge[other];
+    if (!byNeighbor.has(neighbor)) byNeighbor.set(neighbor, { node: neighbor, count: 0, types: {} });
+    const entry = byNeighbor.get(neighbor);
+    const type = edge.type || 'mention';
+    entry.count++;
+    entry.types[type] = (entry.types[type] || 0) + 1;
+  }
+
+  return Array.from(byNeighbor.values()).sort((x, y) => y.count - x.count || x.node.localeCompare(y.node));
+}
+
+async function directedNeighbors({ socialPath, node, kinds, since, until, asOf }, direction) {
+  const store = await loadGraphStore(socialPath);
+  const key = store.resolve(node);
+
+  if (!key) {
+    throw new Error(`Node not found: ${node}`);
+  }
+
+  const accept = store.kindFilter(kinds);
+  const window = resolveTimeWindow({ since, until, asOf });
+  const incoming = summarizeLinks(filterEdgesByTime(store.inEdges(key).filter(e => accept(e.from)), window), key, 'in');
+  const outgoing = summarizeLinks(filterEdgesByTime(store.outEdges(key).filter(e => accept(e.to)), window), key, 'out');
+  return {
+    key,
+    direction,
+    window: describeTimeWindow(window),
+    inDegree: incoming.length,
+    outDegree: outgoing.length,
+    neighbors: direction === 'in' ? incoming : outgoing
+  };
+}
+
+/**
+ * In-neighbors: who mentions, comments on or replies to `node`
+ */
+export async function followers(options) {
+  return directedNeighbors(options, 'in');
+}
+
+/**
+ * Out-neighbors: who `node` mentions, comments on or replies to
+ */
+export async function following(options) {
+  return directedNeighbors(options, 'out');
+}
+
+/**
+ * Reciprocity between agents. With `node`, splits its contacts into mutual,
+ * outgoing-only (no response yet) and incoming-only; without it, reports the
+ * share of linked pairs that interact both ways. Only agents count by default.
+ */
+export async function reciprocity({ socialPath, node, kinds, since, until, asOf }) {
+  const store = await loadGraphStore(socialPath);
+  const window = resolveTimeWindow({ since, until, asOf });
+  const out = store.adjacency({ direction: 'out', kinds, window });
+
+  if (node) {
+    const key = store.resolve(node);
+    if (!key) {
+      throw new Error(`Node not found: ${node}`);
+    }
+
+    const withoutSelf = (neighbors) => new Set(Array.from(neighbors || []).filter(n => n !== key));
+    const outgoing = withoutSelf(out.get(key));
+    const incoming = withoutSelf(store.adjacency({ direction: 'in', kinds, window }).get(key));
+    const mutual = Array.from(outgoing).filter(n => incoming.has(n)).sort();
+    const linked = new Set([...outgoing, ...incoming]).size;
+
+    return {
+      key,
+      window: describeTimeWindow(window),
+      reciprocity: linked ? mutual.length / linked : 0,
+      mutual,
+      outgoingOnly: Array.from(outgoing).filter(n => !incoming.has(n)).sort(),
+      incomingOnly: Array.from(incoming).filter(n => !outgoing.has(n)).sort()
+    };
+  }
+
+  const pairs = new Set();
+  const mutualPairs = [];
+  for (const [from, targets] of out) {
+    for (const to of targets) {
+      if (from === to) continue;
+      const pair = [from, to].sort().join('\u0000');
+      if (pairs.has(pair)) continue;
+      pairs.add(pair);
+      if (out.get(to)?.has(from)) mutualPairs.push([from, to].sort());
+    }
+  }
+
+  return {
+    window: describeTimeWindow(window),
+    pairs: pairs.size,
+    mutualPairs: mutualPairs.length,
+    reciprocity: pairs.size ? mutualPairs.length / pairs.size : 0,
+    mutual: mutualPairs.sort((x, y) => x[0].localeCompare(y[0]) || x[1].localeCompare(y[1]))
+  };
 }
@@ -0,0 +1,292 @@
+/**
+ * Graph Store - One cached, indexed view of nodes.json and edges.json
+ * Shared by graph queries, centrality, communities and the feed; reloaded when either file changes
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createKindFilter, filterEdgesByKind, resolveKinds } from './kinds.js';
+
+const stores = new Map();
+const HOUR_MS = 60 * 60 * 1000;
+const DURATION_UNITS = { h: HOUR_MS, d: 24 * HOUR_MS, w: 7 * 24 * HOUR_MS };
+
+export function nodeKey(node) {
+  return node.handle || node.id || node.did;
+}
+
+/**
+ * When an interaction happened (ms), or null for undated edges
+ */
+export function edgeTime(edge) {
+  const value = edge.timestamp || edge.proofTimestamp;
+  const time = value ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? null : time;
+}
+
+function parseTimeBound(value, flag, now) {
+  const relative = /^(\d+(?:\.\d+)?)([hdw])$/.exec(String(value).trim());
+  if (relative) return now - Number(relative[1]) * DURATION_UNITS[relative[2]];
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${flag} date: ${value} (use an ISO date or a duration like 7d, 12h, 4w)`);
+  }
+  return time;
+}
+
+/**
+ * Time window for a query: `since`/`until` bound edge timestamps, `asOf` is the
+ * graph as it stood at that moment (same as `until`). Bounds are ISO dates or
+ * durations back from now (`7d`). Returns { since, until } in ms, or null when unbounded.
+ */
+export function resolveTimeWindow({ since, until, asOf, now = Date.now() } = {}) {
+  if (asOf && until) {
+    throw new Error('Use either --as-of or --until, not both');
+  }
+
+  const window = {
+    since: since ? parseTimeBound(since, '--since', now) : null,
+    until: asOf || until ? parseTimeBound(asOf || until, asOf ? '--as-of' : '--until', now) : null
+  };
+  if (window.since === null && window.until === null) return null;
+  if (window.since !== null && window.until !== null && window.since > window.until) {
+    throw new Error('--since is later than --until');
+  }
+  return window;
+}
+
+/**
+ * ISO bounds of a resolved window, for results and messages
+ */
+export function describeTimeWindow(window) {
+  if (!window) return null;
+  const iso = (time) => (time === null ? null : new Date(time).toISOString());
+  return { since: iso(window.since), until: iso(window.until) };
+}
+
+/**
+ * Edges dated inside the window; undated edges can't be placed in time and are left out
+ */
+export function filterEdgesByTime(edges, window) {
+  if (!window) return edges;
+  return edges.filter(edge => {
+    const time = edgeTime(edge);
+    if (time === null) return false;
+    return (window.since === null || time >= window.since) && (window.until === null || time <= window.until);
+  });
+}
+
+/**
+ * node -> Set(neighbor). 'out' follows from -> to, 'in' the reverse, 'both' ignores direction.
+ */
+export function buildAdjacency(edges, direction = 'both') {
+  const adjacency = new Map();
+
+  const addEdge = (from, to) => {
+    if (!from || !to) return;
+    if (!adjacency.has(from)) adjacency.set(from, new Set());
+    adjacency.get(from).add(to);
+  };
+
+  for (const edge of edges) {
+    if (direction !== 'in') addEdge(edge.from, edge.to);
+    if (direction !== 'out') addEdge(edge.to, edge.from);
+  }
+
+  return adjacency;
+}
+
+function groupBy(edges, field) {
+  const groups = new Map();
+  for (const edge of edges) {
+    const key = edge[field];
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(edge);
+  }
+  return groups;
+}
+
+/**
+ * Indexed, read-only view of a graph. Lookups accept an id, handle (with or
+ * without @), DID or alias; derived edge sets and adjacency are memoized.
+ * Callers must not mutate `nodes`, `edges` or anything returned.
+ */
+export function createGraphStore({ nodes = [], edges = [] } = {}) {
+  const nodeByKey = new Map();
+  for (const node of nodes) {
+    const handle = node.handle;
+    const keys = [handle, node.id, node.did, ...(node.aliases || [])];
+    if (handle?.startsWith('@')) keys.push(handle.slice(1));
+    for (const key of keys) {
+      if (key && !nodeByKey.has(key)) nodeByKey.set(key, node);
+    }
+  }
+
+  const outgoing = groupBy(edges, 'from');
+  const incoming = groupBy(edges, 'to');
+  // Windowed views are rebuilt per call: relative windows (7d) move with the clock
+  const memo = new Map();
+  const remember = (key, build, window) => {
+    if (window) return build();
+    if (!memo.has(key)) memo.set(key, build());
+    return memo.get(key);
+  };
+  const kindsKey = (kinds) => resolveKinds(kinds)?.join(',') ?? 'all';
+
+  const store = {
+    nodes,
+    edges,
+
+    node(input) {
+      if (!input) return null;
+      const bare = input.replace(/^@/, '');
+      return nodeByKey.get(input) || nodeByKey.get(`@${bare}`) || nodeByKey.get(bare) || null;
+    },
+
+    /**
+     * Graph key (handle, else id, else DID) of the node `input` names
+     */
+    resolve(input) {
+      const node = store.node(input);
+      return node ? nodeKey(node) : null;
+    },
+
+    outEdges(key) {
+      return outgoing.get(key) || [];
+    },
+
+    inEdges(key) {
+      return incoming.get(key) || [];
+    },
+
+    /**
+     * Every edge touching `key`, in either direction
+     */
+    edgesOf(key) {
+      return [...store.outEdges(key), ...store.inEdges(key).filter(edge => edge.from !== key)];
+    },
+
+    kindFilter(kinds) {
+      return remember(`filter:${kindsKey(kinds)}`, () => createKindFilter(nodes, kinds));
+    },
+
+    /**
+     * Nodes of `kinds`; with a time window, only those with an edge inside it
+     */
+    nodesFor({ kinds, window } = {}) {
+      return remember(`nodes:${kindsKey(kinds)}`, () => {
+        const accept = store.kindFilter(kinds);
+        const active = window ? new Set(store.edgesFor({ kinds, window }).flatMap(e => [e.from, e.to])) : null;
+        return nodes.filter(node => {
+          const key = nodeKey(node);
+          return accept(key) && (!active || active.has(key));
+        });
+      }, window);
+    },
+
+    /**
+     * Edges between nodes of `kinds` (inside `window`, if given); edges of the
+     * nodes in `keep` are kept whenever their other end qualifies
+     */
+    edgesFor({ kinds, keep = [], window } = {}) {
+      const accept = store.kindFilter(kinds);
+      const extra = keep.filter(key => key && !accept(key));
+      if (extra.length) return filterEdgesByTime(filterEdgesByKind(edges, accept, extra), window);
+      return remember(`edges:${kindsKey(kinds)}`, () => filterEdgesByTime(filterEdgesByKind(edges, accept), window), window);
+    },
+
+    adjacency({ direction = 'both', kinds, keep = [], window } = {}) {
+      const accept = store.kindFilter(kinds);
+      if (keep.some(key => key && !accept(key))) {
+        return buildAdjacency(store.edgesFor({ kinds, keep, window }), direction);
+      }
+      return remember(`adjacency:${direction}:${kindsKey(kinds)}`, () => buildAdjacency(store.edgesFor({ kinds, window }), direction), window);
+    }
+  };
+
+  return store;
+}
+
+async function fileVersion(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  return stat ? `${stat.mtimeMs}:${stat.size}` : 'missing';
+}
+
+/**
+ * A stored JSON array; [] only when the file does not exist yet. A corrupt file
+ * throws instead, so nothing runs on (or saves over) a graph it could not read.
+ */
+export async function readJsonArray(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8').catch((error) => {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  });
+  if (content === null) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message} (fix or move the file aside; graph collect --replace starts over)`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error(`Could not parse ${filePath}: expected a JSON array`);
+  }
+  return parsed;
+}
+
+/**
+ * Write JSON to a temp file and rename it into place, so a crash mid-write
+ * leaves the previous file intact
+ */
+export async function writeJsonFile(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * The store for a social directory, loaded on first use and reloaded when
+ * nodes.json or edges.json has changed since (mtime and size)
+ */
+export async function loadGraphStore(socialPath) {
+  const dir = path.resolve(socialPath);
+  const nodesPath = path.join(dir, 'nodes.json');
+  const edgesPath = path.join(dir, 'edges.json');
+  const version = (await Promise.all([fileVersion(nodesPath), fileVersion(edgesPath)])).join('|');
+
+  const cached = stores.get(dir);
+  if (cached?.version === version) return cached.store;
+
+  const pending = Promise.all([readJsonArray(nodesPath), readJsonArray(edgesPath)])
+    .then(([nodes, edges]) => createGraphStore({ nodes, edges }));
+  stores.set(dir, { version, store: pending });
+  return pending;
+}
+
+/**
+ * What centrality and community detection run on: nodes and undirected adjacency
+ * restricted to `kinds` (agents only by default) and, with since/until/asOf, to
+ * interactions in that window and the nodes active in it
+ */
+export async function loadGraphView(socialPath, { kinds, since, until, asOf } = {}) {
+  const store = await loadGraphStore(socialPath);
+  const window = resolveTimeWindow({ since, until, asOf });
+  return {
+    nodes: store.nodesFor({ kinds, window }),
+    adj: store.adjacency({ kinds, window }),
+    accept: store.kindFilter(kinds),
+    window,
+    edges: store.edgesFor({ kinds, window })
+  };
+}
+
+/**
+ * Drop the cached store so the next load re-reads the files. Writers in the
+ * same process call this; mtime alone can miss a rewrite on coarse-grained filesystems.
+ */
+export function invalidateGraphStore(socialPath) {
+  stores.delete(path.resolve(socialPath));
+}
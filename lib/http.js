@@ -0,0 +1,165 @@
+/**
+ * HTTP - Shared request layer for collectors
+ * Exponential backoff, Retry-After support, record/replay fixtures and a bounded worker pool
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * baseDelayMs;
+  return Math.min(maxDelayMs, exponential + jitter);
+}
+
+function isRetryableError(error) {
+  return error?.type === 'system' || RETRYABLE_CODES.has(error?.code) || error?.name === 'AbortError';
+}
+
+/**
+ * Fixture file for a URL. Only the URL is keyed; headers (and credentials) never touch disk.
+ */
+export function fixturePath(dir, url, label = 'HTTP') {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').substring(0, 16);
+  return path.join(dir, `${label.toLowerCase()}-${hash}.json`);
+}
+
+function apiError(label, status, text, attempts) {
+  const error = new Error(`${label} API error ${status}: ${text}`);
+  error.status = status;
+  error.attempts = attempts;
+  return error;
+}
+
+async function recordFixture(dir, url, label, status, body) {
+  await fs.mkdir(dir, { recursive: true });
+  const fixture = { url, status, body, recorded_at: new Date().toISOString() };
+  await fs.writeFile(fixturePath(dir, url, label), JSON.stringify(fixture, null, 2));
+}
+
+/**
+ * Serve a recorded response; recorded failures are replayed as the same error
+ */
+async function replayFixture(dir, url, label) {
+  const content = await fs.readFile(fixturePath(dir, url, label), 'utf-8').catch(() => null);
+  if (content === null) {
+    const error = new Error(`${label} replay: no recorded response for ${url}`);
+    error.status = null;
+    error.attempts = 1;
+    throw error;
+  }
+
+  const fixture = JSON.parse(content);
+  if (fixture.status >= 200 && fixture.status < 300) return fixture.body;
+  throw apiError(label, fixture.status, fixture.body, 1);
+}
+
+/**
+ * Fetch a URL and parse JSON, retrying transient failures.
+ * Throws an Error carrying `status` (and `attempts`) once retries are exhausted.
+ * `record` saves each final response to a fixture directory; `replay` serves
+ * responses from one without touching the network.
+ */
+export async function requestJson(url, options = {}) {
+  const {
+    headers = {},
+    label = 'HTTP',
+    retries = DEFAULT_RETRY.retries,
+    baseDelayMs = DEFAULT_RETRY.baseDelayMs,
+    maxDelayMs = DEFAULT_RETRY.maxDelayMs,
+    onRetry,
+    record,
+    replay
+  } = options;
+
+  if (replay) return replayFixture(replay, url, label);
+
+  let attempt = 0;
+
+  while (true) {
+    let response;
+    try {
+      response = await fetch(url, { headers });
+    } catch (error) {
+      if (attempt < retries && isRetryableError(error)) {
+        const delay = backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+        onRetry?.({ url, attempt: attempt + 1, delay, error: error.message });
+        await sleep(delay);
+        attempt++;
+        continue;
+      }
+      error.attempts = attempt + 1;
+      throw error;
+    }
+
+    if (response.ok) {
+      const json = await response.json();
+      if (record) await recordFixture(record, url, label, response.status, json);
+      return json;
+    }
+
+    if (attempt < retries && RETRYABLE_STATUS.has(response.status)) {
+      const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      const delay = retryAfter !== null ?
+        Math.min(retryAfter, maxDelayMs) :
+        backoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      // Drain the body so the socket can be reused
+      await response.text().catch(() => '');
+      onRetry?.({ url, attempt: attempt + 1, delay, status: response.status });
+      await sleep(delay);
+      attempt++;
+      continue;
+    }
+
+    const text = await response.text().catch(() => '');
+    if (record) await recordFixture(record, url, label, response.status, text);
+    throw apiError(label, response.status, text, attempt + 1);
+  }
+}
+
+/**
+ * Map over items with a bounded pool of workers.
+ * Results keep the input order regardless of completion order.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const workers = Math.min(items.length, Math.max(1, Number(concurrency) || 1));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
@@ -0,0 +1,187 @@
+/**
+ * Identity - Link the same agent across networks into one canonical node
+ * Matches by DID, handle, verified wallet, or an explicit alias map (aliases.json)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const ALIASES_FILE = 'aliases.json';
+
+function isPseudoNode(node) {
+  const key = node.id || node.handle || '';
+  return key.startsWith('#');
+}
+
+/**
+ * Comparable form of a handle: lowercase, no leading @
+ */
+export function normalizeIdentityHandle(handle) {
+  if (!handle || typeof handle !== 'string') return null;
+  return handle.trim().replace(/^@/, '').toLowerCase() || null;
+}
+
+/**
+ * Provenance list for a node, combining legacy `source` and `sources`
+ */
+export function nodeSources(node) {
+  const sources = new Set(node.sources || []);
+  if (node.source) sources.add(node.source);
+  return Array.from(sources);
+}
+
+/**
+ * Load an alias map: { "@canonical": ["@alias", "did:...", ...] }
+ * Reads `aliasesPath` if given, else aliases.json in the social directory.
+ */
+export async function loadAliasMap(socialPath, aliasesPath) {
+  const filePath = aliasesPath || path.join(socialPath, ALIASES_FILE);
+  try {
+    const parsed = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    if (aliasesPath) throw new Error(`Could not read alias map ${aliasesPath}: ${error.message}`);
+    return {};
+  }
+}
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    // Keep the earlier node as root so the first-seen node stays canonical
+    if (ra !== rb) parent[Math.max(ra, rb)] = Math.min(ra, rb);
+  };
+  return { find, union };
+}
+
+/**
+ * Merge nodes that represent the same agent and rewrite edges to the canonical key.
+ * Returns { nodes, edges, links } where links describes every merge made.
+ */
+export function linkIdentities(nodes, edges, { aliases = {} } = {}) {
+  const { find, union } = createUnionFind(nodes.length);
+  const reasons = new Map();
+  const claimed = new Map();
+
+  const claim = (key, index, reason) => {
+    if (!key) return;
+    if (claimed.has(key)) {
+      const other = claimed.get(key);
+      if (find(other) !== find(index)) {
+        union(other, index);
+        reasons.set(index, reason);
+      }
+    } else {
+      claimed.set(key, index);
+    }
+  };
+
+  // Explicit aliases: every listed key resolves to the canonical entry
+  const aliasTarget = new Map();
+  for (const [canonical, list] of Object.entries(aliases)) {
+    const target = normalizeIdentityHandle(canonical);
+    for (const alias of [canonical, ...(Array.isArray(list) ? list : [list])]) {
+      const normalized = normalizeIdentityHandle(alias);
+      if (normalized) aliasTarget.set(normalized, target);
+    }
+  }
+
+  nodes.forEach((node, index) => {
+    if (isPseudoNode(node)) return;
+    claim(node.did && `did:${node.did}`, index, 'did');
+    claim(node.walletVerifiedAt && node.walletAddress && `wallet:${node.walletAddress}`, index, 'wallet');
+    claim(normalizeIdentityHandle(node.handle) && `handle:${normalizeIdentityHandle(node.handle)}`, index, 'handle');
+
+    for (const key of [node.handle, node.id, node.did]) {
+      const target = aliasTarget.get(normalizeIdentityHandle(key));
+      if (target) claim(`alias:${target}`, index, 'alias');
+    }
+  });
+
+  const groups = new Map();
+  nodes.forEach((node, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+
+  const keyRewrite = new Map();
+  const linked = [];
+  const links = [];
+
+  for (const members of groups.values()) {
+    if (members.length === 1) {
+      linked.push(nodes[members[0]]);
+      continue;
+    }
+
+    // Prefer the alias-map canonical handle, then a wallet-verified node, then first seen
+    const aliasCanonical = members.find(i => aliases[nodes[i].handle] !== undefined);
+    const walletVerified = members.find(i => nodes[i].walletVerifiedAt);
+    const canonicalIndex = aliasCanonical ?? walletVerified ?? members[0];
+    const canonical = { ...nodes[canonicalIndex] };
+    const canonicalKey = canonical.handle || canonical.id;
+
+    const aliasKeys = new Set(canonical.aliases || []);
+    const identities = [...(canonical.identities || [])];
+    const sources = new Set(nodeSources(canonical));
+    const addIdentity = (node) => {
+      if (identities.some(i => i.id === node.id && i.source === node.source)) return;
+      identities.push({ source: node.source || null, id: node.id || null, handle: node.handle || null, did: node.did || null });
+    };
+    addIdentity(nodes[canonicalIndex]);
+
+    for (const index of members) {
+      if (index === canonicalIndex) continue;
+      const node = nodes[index];
+
+      for (const key of [node.handle, node.id]) {
+        if (key && key !== canonicalKey) {
+          aliasKeys.add(key);
+          keyRewrite.set(key, canonicalKey);
+        }
+      }
+      nodeSources(node).forEach(s => sources.add(s));
+      addIdentity(node);
+
+      // Fill gaps on the canonical node without overriding it
+      for (const [field, value] of Object.entries(node)) {
+        if (canonical[field] === undefined || canonical[field] === null) canonical[field] = value;
+      }
+      if (node.meta) canonical.meta = { ...node.meta, ...canonical.meta };
+
+      links.push({ canonical: canonicalKey, merged: node.handle || node.id, reason: reasons.get(index) || 'handle' });
+    }
+
+    aliasKeys.delete(canonicalKey);
+    canonical.aliases = Array.from(aliasKeys);
+    canonical.identities = identities;
+    canonical.sources = Array.from(sources);
+    linked.push(canonical);
+  }
+
+  // Aliases recorded by earlier runs still redirect edges from their sources
+  const nodeKeys = new Set(linked.flatMap(node => [node.handle, node.id]).filter(Boolean));
+  for (const node of linked) {
+    for (const alias of node.aliases || []) {
+      if (!keyRewrite.has(alias) && !nodeKeys.has(alias)) keyRewrite.set(alias, node.handle || node.id);
+    }
+  }
+
+  const rewrittenEdges = keyRewrite.size === 0 ? edges : edges.map(edge => {
+    const from = keyRewrite.get(edge.from) || edge.from;
+    const to = keyRewrite.get(edge.to) || edge.to;
+    return from === edge.from && to === edge.to ? edge : { ...edge, from, to };
+  });
+
+  return { nodes: linked, edges: rewrittenEdges, links };
+}
@@ -0,0 +1,99 @@
+/**
+ * Importer - Parse graph data from JSON, GraphML, GEXF, JSON Lines and CSV files
+ * Offline fallback for data collection
+ */
+
+import path from 'path';
+import { detectFormat, parseGraph, csvNodesPath } from './formats.js';
+import { validateGraph, repairGraph, formatLocation } from './schema.js';
+
+function randomImportId() {
+  return `import-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Parse JSON content (array of agents, { agents, edges } or { nodes, edges })
+ */
+export function parseJsonGraph(content) {
+  const data = JSON.parse(content);
+  let nodes = [];
+  let edges = [];
+
+  // Support different JSON structures
+  if (Array.isArray(data)) {
+    // Array of agents/posts
+    nodes = data.map(item => ({
+      id: item.did || item.id || randomImportId(),
+      name: item.name || 'Unknown',
+      handle: item.handle || `@${item.name?.replace(/\s/g, '').toLowerCase() || 'unknown'}`,
+      did: item.did || item.id,
+      privacy: 'graph'
+    }));
+  } else if (data.agents) {
+    // Agents format with optional edges
+    nodes = data.agents;
+    edges = data.edges || [];
+  } else if (data.nodes) {
+    // Graph format
+    nodes = data.nodes;
+    edges = data.edges || [];
+  }
+
+  const posts = Array.isArray(data) ? [] : (data.posts || []);
+  return { nodes, edges, posts };
+}
+
+function withFile(lines = [], file) {
+  return lines.map(line => ({ file, line }));
+}
+
+/**
+ * Parse file content by format (explicit or from the extension).
+ * JSON keeps its legacy shapes; GraphML, GEXF, JSON Lines and CSV go through lib/formats.js.
+ * `companion` is the node table that accompanies an edge-list CSV, if any.
+ * Returns { nodes, edges, posts, locations, issues } for validation.
+ */
+export function parseGraphFile(content, importPath, { format, companion } = {}) {
+  const resolved = detectFormat(importPath, format);
+  const file = path.basename(importPath);
+  if (resolved === 'json') return { ...parseJsonGraph(content), locations: {}, issues: [] };
+
+  const graph = parseGraph(content, resolved);
+  const locations = {
+    nodes: withFile(graph.locations?.nodes, file),
+    edges: withFile(graph.locations?.edges, file),
+    posts: withFile(graph.locations?.posts, file)
+  };
+  const issues = (graph.issues || []).map(issue => ({ file, ...issue }));
+
+  if (companion) {
+    const nodesFile = path.basename(csvNodesPath(importPath));
+    const nodeTable = parseGraph(companion, 'csv');
+    graph.nodes.push(...nodeTable.nodes);
+    locations.nodes.push(...withFile(nodeTable.locations?.nodes, nodesFile));
+    issues.push(...(nodeTable.issues || []).map(issue => ({ file: nodesFile, ...issue })));
+  }
+
+  return { ...graph, locations, issues };
+}
+
+/**
+ * Validate a parsed import. Strict mode rejects any error; otherwise the graph
+ * is repaired (see schema.repairGraph) and the report travels with the result.
+ */
+export function validateImport(parsed, { strict = false } = {}) {
+  const { locations, issues, ...graph } = parsed;
+  const report = validateGraph(graph, { locations, issues });
+
+  if (strict) {
+    if (!report.valid) {
+      const lines = report.errors.slice(0, 20).map(issue => `  ${formatLocation(issue)}: ${issue.message}`);
+      const more = report.errors.length > 20 ? [`  ... and ${report.errors.length - 20} more`] : [];
+      throw new Error([`Import rejected: ${report.errors.length} error(s)`, ...lines, ...more].join('\n'));
+    }
+    return { ...graph, validation: { ...report, repairs: [] } };
+  }
+
+  const { graph: repaired, repairs } = repairGraph(graph, { generateId: randomImportId });
+  return { ...repaired, validation: { ...report, repairs } };
+}
@@ -0,0 +1,68 @@
+/**
+ * Node kinds - Tell agents apart from #tag:, #submolt: and bare-wallet nodes
+ * People queries default to agents only; hub kinds are opt-in
+ */
+
+export const NODE_KINDS = ['agent', 'tag', 'submolt', 'wallet'];
+export const DEFAULT_KINDS = ['agent'];
+
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Kind of a node record or a bare graph key (edge endpoints may have no node)
+ */
+export function nodeKind(nodeOrKey) {
+  const node = typeof nodeOrKey === 'string' ? { handle: nodeOrKey } : (nodeOrKey || {});
+  if (NODE_KINDS.includes(node.kind)) return node.kind;
+
+  const key = node.handle || node.id || node.did || '';
+  if (key.startsWith('#tag:')) return 'tag';
+  if (key.startsWith('#submolt:')) return 'submolt';
+  if (SOLANA_ADDRESS.test(key)) return 'wallet';
+  return 'agent';
+}
+
+/**
+ * Normalize a kinds option: array, comma-separated string or 'all'.
+ * Returns the list of kinds, or null when every kind is allowed.
+ */
+export function resolveKinds(kinds = DEFAULT_KINDS) {
+  const list = typeof kinds === 'string' ? kinds.split(',').map(k => k.trim()).filter(Boolean) : kinds;
+  if (!list || !list.length) return [...DEFAULT_KINDS];
+  if (list.includes('all')) return null;
+
+  const unknown = list.filter(kind => !NODE_KINDS.includes(kind));
+  if (unknown.length) {
+    throw new Error(`Unknown node kind: ${unknown.join(', ')} (expected ${NODE_KINDS.join(', ')} or all)`);
+  }
+  return list;
+}
+
+/**
+ * Predicate over graph keys: true when the key's node is one of `kinds`
+ */
+export function createKindFilter(nodes, kinds) {
+  const allowed = resolveKinds(kinds);
+  if (!allowed) return () => true;
+
+  const kindByKey = new Map();
+  for (const node of nodes) {
+    const kind = nodeKind(node);
+    for (const key of [node.handle, node.id, node.did]) {
+      if (key && !kindByKey.has(key)) kindByKey.set(key, kind);
+    }
+  }
+
+  const set = new Set(allowed);
+  return (key) => set.has(kindByKey.get(key) || nodeKind(key));
+}
+
+/**
+ * Edges whose endpoints both pass `accept`; keys in `keep` always pass
+ * (so a query can start from a tag even when tags are filtered out)
+ */
+export function filterEdgesByKind(edges, accept, keep = []) {
+  const always = new Set(keep.filter(Boolean));
+  const ok = (key) => always.has(key) || accept(key);
+  return edges.filter(edge => ok(edge.from) && ok(edge.to));
+}
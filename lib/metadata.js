@@ -22,7 +22,9 @@ const DEFAULT_METADATA = {
   },
   collection: {
     last_run: null,
-    source: null, // 'amikonet' | 'import' | 'manual'
+    source: null, // 'amikonet' | 'import' | 'manual' | comma-joined for multi-source runs
+    sources: [],
+    high_water_marks: {} // per source: { latest_post_at, latest_post_id, updated_at }
   },
   graph: {
     nodes_count: 0,
@@ -44,8 +46,8 @@ export async function loadMetadata(socialPath = DEFAULT_SOCIAL_PATH) {
     const content = await fs.readFile(path.join(socialPath, 'metadata.json'), 'utf-8');
     return JSON.parse(content);
   } catch {
-    // Return default if doesn't exist
-    return { ...DEFAULT_METADATA };
+    // Return default if doesn't exist (deep copy: callers mutate nested sections)
+    return structuredClone(DEFAULT_METADATA);
   }
 }
 
@@ -70,11 +72,39 @@ export async function updateBaseline(socialPath = DEFAULT_SOCIAL_PATH) {
 
 /**
  * Update collection timestamp
+ * `source` may be a single name or a list for multi-source runs
  */
 export async function updateCollection(source = 'amikonet', socialPath = DEFAULT_SOCIAL_PATH) {
   const metadata = await loadMetadata(socialPath);
+  const sources = Array.isArray(source) ? source : [source];
   metadata.collection.last_run = new Date().toISOString();
-  metadata.collection.source = source;
+  metadata.collection.source = sources.join(',');
+  metadata.collection.sources = sources;
+  await saveMetadata(metadata, socialPath);
+}
+
+/**
+ * Get the newest post seen by a previous collection from this source
+ */
+export async function getHighWaterMark(source, socialPath = DEFAULT_SOCIAL_PATH) {
+  const metadata = await loadMetadata(socialPath);
+  return metadata.collection?.high_water_marks?.[source] || null;
+}
+
+/**
+ * Advance the per-source high-water mark (never moves backwards)
+ */
+export async function updateHighWaterMark(source, mark, socialPath = DEFAULT_SOCIAL_PATH) {
+  if (!mark?.latest_post_at) return;
+  const metadata = await loadMetadata(socialPath);
+  const marks = metadata.collection.high_water_marks || {};
+  const current = marks[source];
+
+  if (!current || new Date(mark.latest_post_at) > new Date(current.latest_post_at)) {
+    marks[source] = { ...mark, updated_at: new Date().toISOString() };
+  }
+
+  metadata.collection.high_water_marks = marks;
   await saveMetadata(metadata, socialPath);
 }
 
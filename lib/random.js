@@ -0,0 +1,30 @@
+/**
+ * Random - Seeded randomness for repeatable graph algorithms
+ * Sampled centrality and Louvain give the same result for the same seed
+ */
+
+/**
+ * Seeded PRNG (mulberry32): returns a function yielding floats in [0, 1)
+ */
+export function seededRandom(seed = 1) {
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle `items` in place (Fisher-Yates); with `count`, only the first
+ * `count` positions are drawn, which is enough to sample that many
+ */
+export function shuffle(items, random, count = items.length) {
+  for (let i = 0; i < Math.min(count, items.length - 1); i++) {
+    const j = i + Math.floor(random() * (items.length - i));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
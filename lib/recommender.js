@@ -5,6 +5,9 @@
 
 import * as Baseline from './baseline.js';
 import * as DailyNeeds from './daily-needs.js';
+import { getWeightedEdges, buildWeightedAdjacency, pairWeight, weightToStrength } from './weights.js';
+import { loadGraphStore, nodeKey } from './graph-store.js';
+import { loadCommunityProfiles } from './community-profiles.js';
 import path from 'path';
 import os from 'os';
 
@@ -82,36 +85,24 @@ function calculateRelevance(dailyNeeds, content, baseline) {
  * Calculate connection strength based on social graph
  */
 function calculateConnectionStrength(myHandle, agentHandle, graph) {
-  // Check if direct connection exists
-  const directEdge = graph.edges.find(
-    e => (e.from === myHandle && e.to === agentHandle) ||
-         (e.from === agentHandle && e.to === myHandle)
-  );
-
-  if (directEdge) {
-    return directEdge.strength || 0.5;
+  // Direct connection: aggregated interaction weight in both directions
+  const weight = pairWeight(graph.weights, myHandle, agentHandle);
+  if (weight > 0) {
+    return weightToStrength(weight);
   }
 
   // Check 2-hop connection (friend of friend)
-  const friendsOfMine = graph.edges
-    .filter(e => e.from === myHandle)
-    .map(e => e.to);
+  const mutualFriends = calculateMutualFriends(myHandle, agentHandle, graph);
 
-  const theirFriends = graph.edges
-    .filter(e => e.from === agentHandle)
-    .map(e => e.to);
-
-  const mutualFriends = friendsOfMine.filter(f => theirFriends.includes(f));
-
-  if (mutualFriends.length > 0) {
-    return 0.3 + (mutualFriends.length * 0.1);
+  if (mutualFriends > 0) {
+    return 0.3 + (mutualFriends * 0.1);
   }
 
   // Check same community
-  const myNode = graph.nodes.find(n => n.handle === myHandle);
-  const theirNode = graph.nodes.find(n => n.handle === agentHandle);
+  const myNode = graph.store.node(myHandle);
+  const theirNode = graph.store.node(agentHandle);
 
-  if (myNode && theirNode && myNode.community === theirNode.community) {
+  if (myNode?.community && myNode.community === theirNode?.community) {
     return 0.2;
   }
 
@@ -119,21 +110,15 @@ function calculateConnectionStrength(myHandle, agentHandle, graph) {
 }
 
 function calculateMutualFriends(myHandle, agentHandle, graph) {
-  const friendsOfMine = graph.edges
-    .filter(e => e.from === myHandle)
-    .map(e => e.to);
-
-  const theirFriends = graph.edges
-    .filter(e => e.from === agentHandle)
-    .map(e => e.to);
+  const friendsOfMine = graph.store.outEdges(myHandle).map(e => e.to);
+  const theirFriends = new Set(graph.store.outEdges(agentHandle).map(e => e.to));
 
-  const mutualFriends = friendsOfMine.filter(f => theirFriends.includes(f));
-  return mutualFriends.length;
+  return friendsOfMine.filter(f => theirFriends.has(f)).length;
 }
 
 function calculateCommunityMatch(myHandle, agentHandle, graph) {
-  const myNode = graph.nodes.find(n => n.handle === myHandle);
-  const theirNode = graph.nodes.find(n => n.handle === agentHandle);
+  const myNode = graph.store.node(myHandle);
+  const theirNode = graph.store.node(agentHandle);
   if (myNode && theirNode && myNode.community && theirNode.community) {
     return myNode.community === theirNode.community ? 1 : 0;
   }
@@ -166,19 +151,9 @@ export async function generateFeed(options = {}) {
     };
   }
 
-  // Load social graph
+  // Load social graph (a self node that isn't collected yet simply has no edges or community)
   const graph = await loadGraph(socialPath);
 
-  // Ensure "self" node exists for matching when no posts yet
-  if (baseline?.agent?.amikonet_handle && !graph.nodes.find(n => n.handle === baseline.agent.amikonet_handle)) {
-    graph.nodes.push({
-      id: baseline.agent.amikonet_handle,
-      name: baseline.identity.name,
-      handle: baseline.agent.amikonet_handle,
-      source: 'manual'
-    });
-  }
-
   // Load available posts/content
   const posts = await loadPosts(socialPath);
 
@@ -205,7 +180,8 @@ export async function generateFeed(options = {}) {
 
     let reason = null;
     if (communityMatch) {
-      reason = `Same community`;
+      const label = graph.communityLabels.get(graph.store.node(selfHandle)?.community);
+      reason = label ? `Same community: ${label}` : 'Same community';
     } else if (inferredCommunity) {
       reason = `Submolt: ${inferredCommunity.replace('#submolt:', '')}`;
     } else if (relevanceResult.stuckMatches > 0) {
@@ -241,6 +217,7 @@ export async function generateFeed(options = {}) {
       capabilities: baseline.capabilities
     },
     daily_needs: dailyNeeds ? dailyNeeds.current_focus : null,
+    activity_from: graph.influence ? 'pagerank' : 'edges',
     feed: feedToShow
   };
 }
@@ -278,38 +255,59 @@ function calculateRecency(timestamp) {
 }
 
 /**
- * Calculate activity score for an agent
+ * Calculate activity score for an agent: its PageRank percentile when
+ * `graph centrality --persist` has ranked it, else a step on its edge count
  */
 function calculateActivity(handle, graph) {
-  const agentEdges = graph.edges.filter(
-    e => e.from === handle || e.to === handle
-  );
+  const influence = graph.influence?.get(graph.store.resolve(handle));
+  if (influence !== undefined) return 0.1 + 0.9 * influence;
+
+  const edgeCount = graph.store.edgesOf(handle).length;
 
-  if (agentEdges.length === 0) return 0.1;
-  if (agentEdges.length < 5) return 0.3;
-  if (agentEdges.length < 15) return 0.6;
+  if (edgeCount === 0) return 0.1;
+  if (edgeCount < 5) return 0.3;
+  if (edgeCount < 15) return 0.6;
   return 1.0;
 }
 
 /**
- * Load social graph
+ * node key -> percentile (0..1) of its persisted PageRank among ranked agents
+ * (ties share their average position), or null when none has been persisted
  */
-async function loadGraph(socialPath) {
-  const fs = await import('fs/promises');
-
-  try {
-    const nodesPath = path.join(socialPath, 'nodes.json');
-    const edgesPath = path.join(socialPath, 'edges.json');
+function buildInfluence(nodes) {
+  const ranked = nodes
+    .filter(node => typeof node.centrality?.pagerank === 'number')
+    .sort((a, b) => a.centrality.pagerank - b.centrality.pagerank);
+  if (!ranked.length) return null;
+
+  const influence = new Map();
+  for (let start = 0; start < ranked.length;) {
+    let end = start;
+    while (end + 1 < ranked.length && ranked[end + 1].centrality.pagerank === ranked[start].centrality.pagerank) end++;
+    const percentile = ranked.length > 1 ? (start + end) / 2 / (ranked.length - 1) : 1;
+    for (let i = start; i <= end; i++) influence.set(nodeKey(ranked[i]), percentile);
+    start = end + 1;
+  }
+  return influence;
+}
 
-    const [nodes, edges] = await Promise.all([
-      fs.readFile(nodesPath, 'utf-8').then(JSON.parse).catch(() => []),
-      fs.readFile(edgesPath, 'utf-8').then(JSON.parse).catch(() => [])
-    ]);
+/**
+ * Load social graph: the shared store, per-pair interaction weights and
+ * influence from persisted centrality
+ */
+async function loadGraph(socialPath) {
+  const [store, weightedEdges, profiles] = await Promise.all([
+    loadGraphStore(socialPath),
+    getWeightedEdges({ socialPath }).catch(() => []),
+    loadCommunityProfiles(socialPath)
+  ]);
 
-    return { nodes, edges };
-  } catch {
-    return { nodes: [], edges: [] };
-  }
+  return {
+    store,
+    weights: buildWeightedAdjacency(weightedEdges),
+    influence: buildInfluence(store.nodes),
+    communityLabels: new Map((profiles?.communities || []).map(profile => [profile.id, profile.label]))
+  };
 }
 
 /**
@@ -358,7 +356,9 @@ export function formatFeed(feedResult) {
   output += `   Relevance (to your focus): 40%\n`;
   output += `   Connection strength: 30%\n`;
   output += `   Recency: 20%\n`;
-  output += `   Activity level: 10%\n\n`;
+  output += feedResult.activity_from === 'pagerank' ?
+    `   Influence (persisted PageRank): 10%\n\n` :
+    `   Activity level: 10%\n\n`;
 
   // Group by section
   const sections = {
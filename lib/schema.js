@@ -0,0 +1,314 @@
+/**
+ * Schema - Validation and repair for graph data (nodes, edges, posts)
+ * Used at import time and by `graph validate`
+ */
+
+import { NODE_KINDS, nodeKind } from './kinds.js';
+
+const PRIVACY_LEVELS = ['public', 'graph', 'private'];
+
+/**
+ * Field rules per record kind. `type` is a typeof name, 'array', 'object' or 'date'
+ * (an ISO-8601 string). Nodes need an id or a handle; edges need from, to and type.
+ */
+export const GRAPH_SCHEMA = {
+  node: {
+    required: [],
+    requireOneOf: ['handle', 'id'],
+    fields: {
+      id: { type: 'string' },
+      handle: { type: 'string' },
+      name: { type: 'string' },
+      did: { type: 'string' },
+      privacy: { type: 'string', enum: PRIVACY_LEVELS },
+      kind: { type: 'string', enum: NODE_KINDS },
+      source: { type: 'string' },
+      sources: { type: 'array' },
+      aliases: { type: 'array' },
+      identities: { type: 'array' },
+      meta: { type: 'object' },
+      walletAddress: { type: 'string' },
+      walletVerifiedAt: { type: 'date' },
+      trustScoreOnchain: { type: 'number' },
+      centrality: { type: 'object' }
+    }
+  },
+  edge: {
+    required: ['from', 'to', 'type'],
+    fields: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      type: { type: 'string' },
+      context: { type: 'string' },
+      timestamp: { type: 'date' },
+      source: { type: 'string' },
+      verified: { type: 'boolean' },
+      depth: { type: 'number' },
+      offset: { type: 'number' }
+    }
+  },
+  post: {
+    required: ['id'],
+    fields: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      content: { type: 'string' },
+      author_handle: { type: 'string' },
+      timestamp: { type: 'date' },
+      upvotes: { type: 'number' },
+      comment_count: { type: 'number' },
+      source: { type: 'string' }
+    }
+  }
+};
+
+const COLLECTIONS = { node: 'nodes', edge: 'edges', post: 'posts' };
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+const ONCHAIN_EDGE_TYPES = ['payment', 'proof'];
+
+/**
+ * Whether an edge endpoint may name something with no node record: the target
+ * of a mention (an agent not collected yet) or either end of an onchain edge
+ */
+function mayDangle(edge, end) {
+  if (edge.source === 'solana' || ONCHAIN_EDGE_TYPES.includes(edge.type)) return true;
+  return edge.type === 'mention' && end === 'to';
+}
+
+function nodeKey(node) {
+  return node.handle || node.id || node.did;
+}
+
+/**
+ * Human-readable position of a record: "graph.csv line 4" or "edges[3]"
+ */
+export function formatLocation(issue) {
+  if (issue.line) return `${issue.file ? `${issue.file} ` : ''}line ${issue.line}`;
+  if (issue.kind !== undefined && issue.index !== undefined) return `${COLLECTIONS[issue.kind]}[${issue.index}]`;
+  return issue.file || '';
+}
+
+/**
+ * Check a graph against GRAPH_SCHEMA. `locations` maps collection -> per-record
+ * line numbers (or { file, line }) from the parser. Returns { valid, errors, warnings, issues }.
+ * Dangling mention and onchain (payment/proof) edges are warnings: mentions may
+ * name agents not collected yet, onchain edges wallet addresses.
+ */
+export function validateGraph(graph, { locations = {}, issues: parseIssues = [] } = {}) {
+  const issues = [...parseIssues];
+
+  const report = (kind, index, severity, code, message, extra = {}) => {
+    const location = locations[COLLECTIONS[kind]]?.[index];
+    const position = typeof location === 'object' && location ? location : { line: location };
+    issues.push({ severity, code, kind, index, ...(position.line ? position : {}), message, ...extra });
+  };
+
+  const checkRecord = (kind, record, index) => {
+    const rules = GRAPH_SCHEMA[kind];
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+      report(kind, index, 'error', 'invalid_record', `${kind} is not an object`);
+      return false;
+    }
+
+    let ok = true;
+    for (const field of rules.required) {
+      if (!isPresent(record[field])) {
+        report(kind, index, 'error', 'missing_field', `${kind} is missing "${field}"`, { field });
+        ok = false;
+      }
+    }
+    if (rules.requireOneOf && !rules.requireOneOf.some(field => isPresent(record[field]))) {
+      report(kind, index, 'error', 'missing_field', `${kind} needs one of ${rules.requireOneOf.map(f => `"${f}"`).join(' or ')}`, {
+        field: rules.requireOneOf[0]
+      });
+      ok = false;
+    }
+
+    for (const [field, rule] of Object.entries(rules.fields)) {
+      const value = record[field];
+      if (!isPresent(value)) continue;
+      if (!matchesType(value, rule.type)) {
+        report(kind, index, 'error', 'invalid_type', `${kind} field "${field}" should be ${rule.type === 'date' ? 'an ISO date' : `a ${rule.type}`}`, { field });
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        report(kind, index, 'error', 'invalid_value', `${kind} field "${field}" must be one of ${rule.enum.join(', ')}`, { field });
+      }
+    }
+    return ok;
+  };
+
+  const nodes = graph.nodes || [];
+  const edges = graph.edges || [];
+  const posts = graph.posts || [];
+
+  // Nodes: schema, then duplicate ids/handles
+  const keys = new Set();
+  const seenIds = new Map();
+  const seenHandles = new Map();
+  nodes.forEach((node, index) => {
+    if (!checkRecord('node', node, index)) return;
+    for (const [field, seen] of [['id', seenIds], ['handle', seenHandles]]) {
+      const value = node[field];
+      if (!isPresent(value)) continue;
+      if (seen.has(value)) {
+        report('node', index, 'error', 'duplicate_id', `Duplicate node ${field} "${value}" (first at ${COLLECTIONS.node}[${seen.get(value)}])`, { field });
+      } else {
+        seen.set(value, index);
+      }
+    }
+    for (const key of [node.handle, node.id, node.did]) {
+      if (isPresent(key)) keys.add(key);
+    }
+  });
+
+  // Edges: schema, then endpoints that match no node
+  edges.forEach((edge, index) => {
+    if (!checkRecord('edge', edge, index)) return;
+    for (const end of ['from', 'to']) {
+      if (keys.has(edge[end])) continue;
+      const severity = mayDangle(edge, end) ? 'warning' : 'error';
+      report('edge', index, severity, 'dangling_edge', `Edge ${end} "${edge[end]}" matches no node`, { field: end });
+    }
+  });
+
+  // Posts: schema, then duplicate ids
+  const postIds = new Map();
+  posts.forEach((post, index) => {
+    if (!checkRecord('post', post, index)) return;
+    if (postIds.has(post.id)) {
+      report('post', index, 'error', 'duplicate_id', `Duplicate post id "${post.id}" (first at ${COLLECTIONS.post}[${postIds.get(post.id)}])`, { field: 'id' });
+    } else {
+      postIds.set(post.id, index);
+    }
+  });
+
+  // Report in file order where line numbers are known (the sort is stable)
+  issues.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity !== 'error');
+  return { valid: errors.length === 0, errors, warnings, issues };
+}
+
+/**
+ * Lenient repair: fill what can be derived, drop what cannot be used.
+ * Returns { graph, repairs } where repairs lists every change made.
+ */
+export function repairGraph(graph, { generateId = () => `import-${Math.random().toString(36).substr(2, 9)}` } = {}) {
+  const repairs = [];
+  const note = (kind, index, action, message) => repairs.push({ kind, index, action, message });
+
+  // Nodes: derive missing id/handle, default privacy, drop unusable and duplicate records
+  const nodes = [];
+  const nodeIndexByKey = new Map();
+  (graph.nodes || []).forEach((raw, index) => {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      note('node', index, 'dropped', 'not an object');
+      return;
+    }
+    if (![raw.name, raw.id, raw.handle, raw.did].some(isPresent)) {
+      note('node', index, 'dropped', 'no id, handle, did or name');
+      return;
+    }
+
+    const node = { ...raw };
+    if (!isPresent(node.id)) {
+      node.id = node.did || generateId();
+      note('node', index, 'filled', `id set to "${node.id}"`);
+    }
+    if (!isPresent(node.handle)) {
+      node.handle = `@${String(node.name || node.id).replace(/\s/g, '').toLowerCase()}`;
+      note('node', index, 'filled', `handle derived as "${node.handle}"`);
+    }
+    if (!PRIVACY_LEVELS.includes(node.privacy)) {
+      if (isPresent(node.privacy)) note('node', index, 'filled', `privacy "${node.privacy}" replaced with "graph"`);
+      node.privacy = 'graph';
+    }
+    if (isPresent(node.kind) && !NODE_KINDS.includes(node.kind)) {
+      const { kind, ...rest } = node;
+      node.kind = nodeKind(rest);
+      note('node', index, 'filled', `kind "${kind}" replaced with "${node.kind}"`);
+    }
+    if (isPresent(node.walletVerifiedAt) && !matchesType(node.walletVerifiedAt, 'date')) {
+      note('node', index, 'cleared', 'invalid walletVerifiedAt removed');
+      delete node.walletVerifiedAt;
+    }
+
+    const duplicateOf = [node.id, node.handle].map(key => nodeIndexByKey.get(key)).find(i => i !== undefined);
+    if (duplicateOf !== undefined) {
+      // First record wins; later duplicates only fill its gaps
+      const kept = nodes[duplicateOf];
+      for (const [field, value] of Object.entries(node)) {
+        if (!isPresent(kept[field])) kept[field] = value;
+      }
+      note('node', index, 'merged', `duplicate of "${nodeKey(kept)}"`);
+      return;
+    }
+
+    nodeIndexByKey.set(node.id, nodes.length);
+    nodeIndexByKey.set(node.handle, nodes.length);
+    nodes.push(node);
+  });
+
+  const keys = new Set(nodes.flatMap(node => [node.handle, node.id, node.did]).filter(isPresent));
+
+  // Edges: drop incomplete and dangling ones (mentions of unknown agents and onchain edges are kept)
+  const edges = [];
+  (graph.edges || []).forEach((raw, index) => {
+    if (raw === null || typeof raw !== 'object' || !isPresent(raw.from) || !isPresent(raw.to)) {
+      note('edge', index, 'dropped', 'missing from/to');
+      return;
+    }
+    const edge = { ...raw, from: String(raw.from), to: String(raw.to) };
+    if (!isPresent(edge.type)) {
+      edge.type = 'mention';
+      note('edge', index, 'filled', 'type defaulted to "mention"');
+    }
+    const dangling = ['from', 'to'].filter(end => !keys.has(edge[end]));
+    if (!dangling.every(end => mayDangle(edge, end))) {
+      note('edge', index, 'dropped', `dangling ${dangling.map(end => `${end} "${edge[end]}"`).join(', ')}`);
+      return;
+    }
+    if (isPresent(edge.timestamp) && !matchesType(edge.timestamp, 'date')) {
+      note('edge', index, 'cleared', `invalid timestamp "${edge.timestamp}" removed`);
+      delete edge.timestamp;
+    }
+    edges.push(edge);
+  });
+
+  // Posts: drop ones without an id, keep the first of each id
+  const posts = [];
+  const postIds = new Set();
+  (graph.posts || []).forEach((raw, index) => {
+    if (raw === null || typeof raw !== 'object' || !isPresent(raw.id)) {
+      note('post', index, 'dropped', 'missing id');
+      return;
+    }
+    if (postIds.has(raw.id)) {
+      note('post', index, 'dropped', `duplicate id "${raw.id}"`);
+      return;
+    }
+    postIds.add(raw.id);
+    posts.push(raw);
+  });
+
+  return { graph: { ...graph, nodes, edges, posts }, repairs };
+}
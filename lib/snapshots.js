@@ -0,0 +1,95 @@
+/**
+ * Snapshots - Copies of nodes.json/edges.json kept from before each collection
+ * Stored as snapshots/<time>.json; only the newest few are kept
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadGraphStore } from './graph-store.js';
+
+export const SNAPSHOT_DIR = 'snapshots';
+export const DEFAULT_SNAPSHOT_KEEP = 10;
+
+function snapshotDir(socialPath) {
+  return path.join(socialPath, SNAPSHOT_DIR);
+}
+
+/**
+ * 2026-10-19T08-30-00-000Z (file-name safe ISO time)
+ */
+function snapshotName(time) {
+  return new Date(time).toISOString().replace(/[:.]/g, '-');
+}
+
+function snapshotTime(name) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(name);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+/**
+ * Stored snapshots, newest first: [{ name, path, taken_at }]
+ */
+export async function listSnapshots(socialPath) {
+  const files = await fs.readdir(snapshotDir(socialPath)).catch(() => []);
+  return files
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .filter(name => snapshotTime(name))
+    .sort()
+    .reverse()
+    .map(name => ({ name, path: path.join(snapshotDir(socialPath), `${name}.json`), taken_at: snapshotTime(name) }));
+}
+
+/**
+ * Delete all but the `keep` newest snapshots; returns the names removed
+ */
+export async function pruneSnapshots(socialPath, keep = DEFAULT_SNAPSHOT_KEEP) {
+  const stale = (await listSnapshots(socialPath)).slice(Math.max(0, keep));
+  await Promise.all(stale.map(snapshot => fs.unlink(snapshot.path).catch(() => {})));
+  return stale.map(snapshot => snapshot.name);
+}
+
+/**
+ * Save the stored graph as a snapshot, then prune to `keep`. An empty graph
+ * is not worth a snapshot and `keep` 0 turns snapshots off; both return null.
+ */
+export async function saveSnapshot(socialPath, { keep = DEFAULT_SNAPSHOT_KEEP, now = Date.now() } = {}) {
+  if (!(keep > 0)) return null;
+
+  const { nodes, edges } = await loadGraphStore(socialPath);
+  if (!nodes.length && !edges.length) return null;
+
+  const name = snapshotName(now);
+  const snapshot = { taken_at: new Date(now).toISOString(), nodes, edges };
+  await fs.mkdir(snapshotDir(socialPath), { recursive: true });
+  await fs.writeFile(path.join(snapshotDir(socialPath), `${name}.json`), JSON.stringify(snapshot), 'utf-8');
+
+  return { name, taken_at: snapshot.taken_at, pruned: await pruneSnapshots(socialPath, keep) };
+}
+
+/**
+ * A graph to compare: 'current' (the stored graph), a snapshot by name or by
+ * position (1 = newest), or a snapshot file path. Returns { label, taken_at, nodes, edges }.
+ */
+export async function loadSnapshot(socialPath, ref = 'current') {
+  if (ref === 'current') {
+    const { nodes, edges } = await loadGraphStore(socialPath);
+    return { label: 'current', taken_at: new Date().toISOString(), nodes, edges };
+  }
+
+  const snapshots = await listSnapshots(socialPath);
+  const name = String(ref).replace(/\.json$/, '');
+  const stored = /^\d+$/.test(name) ? snapshots[Number(name) - 1] : snapshots.find(snapshot => snapshot.name === name);
+  const filePath = stored ? stored.path : ref;
+
+  const data = await fs.readFile(filePath, 'utf-8').then(JSON.parse).catch((error) => {
+    if (error.code !== 'ENOENT') throw new Error(`Could not read snapshot ${ref}: ${error.message}`);
+    const available = snapshots.length ? ` (${snapshots.length} stored; see graph snapshots)` : ' (none stored yet; one is taken before each collection)';
+    throw new Error(`Snapshot not found: ${ref}${available}`);
+  });
+  if (!Array.isArray(data?.nodes) || !Array.isArray(data?.edges)) {
+    throw new Error(`Not a graph snapshot: ${ref} (expected nodes and edges arrays)`);
+  }
+
+  return { label: stored ? stored.name : ref, taken_at: data.taken_at || stored?.taken_at || null, nodes: data.nodes, edges: data.edges };
+}
@@ -20,6 +20,7 @@ import {
   Transaction,
   sendAndConfirmTransaction
 } from '@solana/web3.js';
+import { invalidateGraphStore } from './graph-store.js';
 
 const CHALLENGES_FILE = 'solana-challenges.json';
 const PROOFS_FILE = 'proofs.json';
@@ -51,6 +52,7 @@ async function readJson(filePath, fallback) {
 async function writeJson(filePath, value) {
   await fs.mkdir(path.dirname(filePath), { recursive: true });
   await fs.writeFile(filePath, JSON.stringify(value, null, 2), 'utf-8');
+  invalidateGraphStore(path.dirname(filePath));
 }
 
 function toBufferFromSig(signature) {
@@ -99,6 +101,7 @@ async function upsertWalletOnNode({ socialPath, handle, walletAddress, challenge
       id: normalizedHandle,
       name: normalizedHandle.replace('@', ''),
       handle: normalizedHandle,
+      kind: 'agent',
       source: 'local',
       walletAddress,
       walletVerifiedAt: verifiedAt,
@@ -0,0 +1,264 @@
+/**
+ * Sources - Registry of collection source adapters
+ *
+ * An adapter is a plain object:
+ *   name          unique source name (used by --source)
+ *   description   one-line summary for help output
+ *   defaultMode   'merge' (default) or 'replace' when saving
+ *   resolveAuth   async (options) => auth, optional (skipped with --replay)
+ *   fetch         async (options, auth) => raw
+ *   normalize     (raw, options) => { posts, nodes, edges, comments? }
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  getAmikoNetToken,
+  fetchAmikoNet,
+  normalizeAmikoNet,
+  resolveMoltbookAuth,
+  fetchMoltbook,
+  normalizeMoltbook,
+  saveGraphData,
+  loadKnownNodes
+} from './collector.js';
+import { parseGraphFile, validateImport } from './importer.js';
+import { detectFormat, csvNodesPath } from './formats.js';
+import { nodeSources, loadAliasMap } from './identity.js';
+import { getHighWaterMark, updateHighWaterMark, updateCollection, updateGraphStats } from './metadata.js';
+import { resolveMentions } from './tokenizer.js';
+import { saveSnapshot } from './snapshots.js';
+import { getWeightedEdges } from './weights.js';
+
+const registry = new Map();
+
+/**
+ * Register a source adapter (replaces any adapter with the same name)
+ */
+export function registerSource(adapter) {
+  if (!adapter?.name || typeof adapter.name !== 'string') {
+    throw new Error('Source adapter must have a name');
+  }
+  if (typeof adapter.fetch !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error(`Source adapter "${adapter.name}" must implement fetch() and normalize()`);
+  }
+  registry.set(adapter.name, adapter);
+  return adapter;
+}
+
+export function getSource(name) {
+  const adapter = registry.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown source: ${name}. Available: ${listSources().map(s => s.name).join(', ')}`);
+  }
+  return adapter;
+}
+
+export function listSources() {
+  return Array.from(registry.values()).map(({ name, description, defaultMode }) => ({
+    name,
+    description: description || '',
+    defaultMode: defaultMode || 'merge'
+  }));
+}
+
+function adaptersFromModule(mod) {
+  const exported = mod.default ?? mod.adapters ?? mod.adapter;
+  if (!exported) return [];
+  return Array.isArray(exported) ? exported : [exported];
+}
+
+/**
+ * Load third-party adapters from a directory of modules or a package name.
+ * Each module default-exports an adapter or an array of adapters.
+ */
+export async function loadSourceAdapters(specifier) {
+  if (!specifier) return [];
+  const loaded = [];
+
+  const stat = await fs.stat(specifier).catch(() => null);
+  let modules;
+
+  if (stat?.isDirectory()) {
+    const files = (await fs.readdir(specifier))
+      .filter(f => f.endsWith('.js') || f.endsWith('.mjs'))
+      .sort();
+    modules = await Promise.all(files.map(f => import(pathToFileURL(path.resolve(specifier, f)).href)));
+  } else if (stat?.isFile()) {
+    modules = [await import(pathToFileURL(path.resolve(specifier)).href)];
+  } else {
+    modules = [await import(specifier)];
+  }
+
+  for (const mod of modules) {
+    for (const adapter of adaptersFromModule(mod)) {
+      loaded.push(registerSource(adapter));
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Run one adapter end to end: auth -> fetch -> normalize
+ */
+export async function collectFromSource(name, options = {}) {
+  const adapter = getSource(name);
+  // Replayed fixtures never reach the network, so no credentials are needed
+  const auth = adapter.resolveAuth && !options.replay ? await adapter.resolveAuth(options) : null;
+  const raw = await adapter.fetch(options, auth);
+  const result = await adapter.normalize(raw, options);
+
+  // Every record carries the source it came from
+  const stamp = (record) => ({ ...record, source: record.source || adapter.name });
+
+  return {
+    ...result,
+    posts: (result.posts || []).map(stamp),
+    nodes: (result.nodes || []).map(node => {
+      const stamped = stamp(node);
+      return { ...stamped, sources: nodeSources(stamped) };
+    }),
+    edges: (result.edges || []).map(stamp),
+    comments: (result.comments || []).map(stamp),
+    source: adapter.name,
+    defaultMode: adapter.defaultMode || 'merge'
+  };
+}
+
+/**
+ * Collect from several adapters and combine their results into one batch
+ */
+export async function collectFromSources(names, options = {}) {
+  const results = [];
+  for (const name of names) {
+    const since = options.sinceBySource?.[name] ?? options.since;
+    results.push(await collectFromSource(name, { ...options, since }));
+  }
+
+  // Mentions are checked against every source in this batch plus the existing graph
+  const nodes = results.flatMap(r => r.nodes);
+  const edges = resolveMentions(results.flatMap(r => r.edges), [...(options.knownNodes || []), ...nodes], {
+    dropUnverified: Boolean(options.verifiedMentions)
+  });
+
+  return {
+    posts: results.flatMap(r => r.posts),
+    nodes,
+    edges,
+    comments: results.flatMap(r => r.comments),
+    commentFailures: results.flatMap(r => (r.commentFailures || []).map(f => ({ ...f, source: r.source }))),
+    pages: results.reduce((sum, r) => sum + (r.pages || 0), 0),
+    perSource: results.map(r => ({
+      source: r.source,
+      nodes: r.nodes.length,
+      edges: r.edges.length,
+      posts: r.posts.length,
+      truncated: Boolean(r.truncated),
+      highWaterMark: r.highWaterMark || null
+    })),
+    validation: results.filter(r => r.validation).map(r => ({ source: r.source, ...r.validation })),
+    sources: results.map(r => r.source),
+    defaultMode: results.every(r => r.defaultMode === 'replace') ? 'replace' : 'merge'
+  };
+}
+
+/**
+ * Source names for a run: the import adapter when `importPath` is set,
+ * otherwise a comma-separated `source` (default amikonet)
+ */
+export function resolveSourceNames(options = {}) {
+  if (options.importPath) return ['import'];
+  return String(options.source || 'amikonet').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Full collection run shared by the CLI and the MCP tool:
+ * resume from high-water marks, collect, save (merge/replace + identity linking)
+ * and update metadata.json. `onResume(source, since)` reports resumed sources.
+ */
+export async function collectGraph(socialPath, options = {}) {
+  const sourceNames = resolveSourceNames(options);
+
+  if (options.record && options.replay) {
+    throw new Error('Use either --record or --replay, not both');
+  }
+
+  // Resume each source from its last collected post unless told otherwise.
+  // Replays always start from the top so they request exactly the recorded URLs.
+  const sinceBySource = {};
+  if (!options.since && !options.full && !options.replace && !options.importPath && !options.replay) {
+    for (const name of sourceNames) {
+      const since = (await getHighWaterMark(name, socialPath))?.latest_post_at;
+      if (since) {
+        sinceBySource[name] = since;
+        options.onResume?.(name, since);
+      }
+    }
+  }
+
+  const result = await collectFromSources(sourceNames, {
+    ...options,
+    sinceBySource,
+    knownNodes: options.replace ? [] : await loadKnownNodes(socialPath)
+  });
+
+  const mode = options.replace ? 'replace' : (options.merge ? 'merge' : result.defaultMode);
+  // Keep the graph as it was, for `graph diff` (`keepSnapshots` 0 turns this off)
+  const snapshot = await saveSnapshot(socialPath, { keep: options.keepSnapshots === undefined ? undefined : Number(options.keepSnapshots) });
+  const saved = await saveGraphData(result.posts, result.nodes, result.edges, socialPath, {
+    mode,
+    comments: result.comments,
+    linkIdentities: options.linkIdentities !== false,
+    aliases: await loadAliasMap(socialPath, options.aliases)
+  });
+
+  // A replay says nothing about what is new on the live network
+  if (!options.replay) {
+    for (const entry of result.perSource) {
+      await updateHighWaterMark(entry.source, entry.highWaterMark, socialPath);
+    }
+  }
+  await updateCollection(result.sources, socialPath);
+  await updateGraphStats(saved.nodes.length, saved.edges.length, socialPath);
+  await getWeightedEdges({ socialPath, refresh: true });
+
+  return { ...result, sourceNames, mode, saved, snapshot };
+}
+
+registerSource({
+  name: 'amikonet',
+  description: 'AmikoNet posts, comments, replies and tags (requires amikonet auth)',
+  resolveAuth: getAmikoNetToken,
+  fetch: fetchAmikoNet,
+  normalize: normalizeAmikoNet
+});
+
+registerSource({
+  name: 'moltbook',
+  description: 'Moltbook posts, comments, replies, tags and submolts',
+  resolveAuth: resolveMoltbookAuth,
+  fetch: fetchMoltbook,
+  normalize: normalizeMoltbook
+});
+
+registerSource({
+  name: 'import',
+  description: 'Graph file on disk (JSON, GraphML, GEXF, JSON Lines, CSV)',
+  defaultMode: 'replace',
+  async fetch(options) {
+    if (!options.importPath) throw new Error('Missing import path. Use --import <path>');
+    const format = detectFormat(options.importPath, options.format);
+    const content = await fs.readFile(options.importPath, 'utf-8');
+    // An edge-list CSV may come with its node table (graph.csv + graph.nodes.csv)
+    const companion = format === 'csv' && !options.importPath.endsWith('.nodes.csv') ?
+      await fs.readFile(csvNodesPath(options.importPath), 'utf-8').catch(() => null) :
+      null;
+    return { content, companion, format, importPath: options.importPath };
+  },
+  normalize(raw, options) {
+    const parsed = parseGraphFile(raw.content, raw.importPath, { format: raw.format, companion: raw.companion });
+    return validateImport(parsed, { strict: Boolean(options.strict) });
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Tokenizer - Extract @mentions and #hashtags from post/comment text
+ * Skips code (fenced and inline), URLs and email addresses; supports Unicode handles
+ */
+
+import { normalizeIdentityHandle } from './identity.js';
+
+const FENCED_CODE = /(```|~~~)[\s\S]*?(?:\1|$)/g;
+const INLINE_CODE = /`[^`\n]+`/g;
+const URL_PATTERN = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)[^\s<>"'`)\]]+/giu;
+
+// Word characters in any script (letters, combining marks, digits, underscore)
+const WORD = '[\\p{L}\\p{M}\\p{N}_]';
+const MENTION_PATTERN = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_.@/\\\\+-])@(${WORD}(?:[\\p{L}\\p{M}\\p{N}_-]*${WORD})?)`, 'gu');
+const TAG_PATTERN = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_&#/\\\\])#(${WORD}(?:[\\p{L}\\p{M}\\p{N}_-]*${WORD})?)`, 'gu');
+
+/**
+ * Blank out code and URLs with spaces so offsets into the original text survive
+ */
+export function maskNonProse(text) {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+  return text
+    .replace(FENCED_CODE, blank)
+    .replace(INLINE_CODE, blank)
+    .replace(URL_PATTERN, blank);
+}
+
+function scan(text, pattern, accept) {
+  if (!text || typeof text !== 'string') return [];
+  const masked = maskNonProse(text);
+  const seen = new Set();
+  const tokens = [];
+
+  for (const match of masked.matchAll(pattern)) {
+    const rest = masked.slice(match.index + match[0].length);
+    if (!accept(match[1], rest)) continue;
+
+    const value = `${match[0][0]}${match[1].normalize('NFC')}`;
+    const key = value.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    tokens.push({ value, offset: match.index });
+  }
+
+  return tokens;
+}
+
+/**
+ * @mentions in order of first appearance: [{ value: '@handle', offset }]
+ * Scoped package names (@types/node) and bare domains (@gmail.com) are not mentions.
+ */
+export function tokenizeMentions(text) {
+  return scan(text, MENTION_PATTERN, (_, rest) => {
+    return !rest.startsWith('/') && !/^\.\p{L}/u.test(rest);
+  });
+}
+
+/**
+ * #hashtags in order of first appearance: [{ value: '#tag', offset }]
+ * Purely numeric tags (#123, issue references) are skipped.
+ */
+export function tokenizeTags(text) {
+  return scan(text, TAG_PATTERN, (tag) => /\p{L}/u.test(tag));
+}
+
+export function extractMentions(text) {
+  return tokenizeMentions(text).map(token => token.value);
+}
+
+export function extractTags(text) {
+  return tokenizeTags(text).map(token => token.value);
+}
+
+/**
+ * Case-insensitive lookup from any known handle/id/alias to the node's graph key
+ */
+export function createHandleIndex(nodes = []) {
+  const keyByHandle = new Map();
+
+  const add = (node) => {
+    const key = node?.handle || node?.id;
+    if (!key) return;
+    for (const handle of [node.handle, node.id, ...(node.aliases || [])]) {
+      const normalized = normalizeIdentityHandle(handle);
+      if (normalized && !keyByHandle.has(normalized)) keyByHandle.set(normalized, key);
+    }
+  };
+  nodes.forEach(add);
+
+  return {
+    resolve: (handle) => keyByHandle.get(normalizeIdentityHandle(handle)) || null
+  };
+}
+
+/**
+ * Mark mention edges whose target is a known agent as verified and point them
+ * at that node's key. With `dropUnverified` the remaining mentions are removed.
+ */
+export function resolveMentions(edges, nodes, { dropUnverified = false } = {}) {
+  const index = createHandleIndex(nodes);
+
+  return edges.flatMap(edge => {
+    if (edge.type !== 'mention') return [edge];
+    const key = index.resolve(edge.to);
+    if (!key && dropUnverified) return [];
+    return [{ ...edge, to: key || edge.to, verified: Boolean(key) }];
+  });
+}
@@ -0,0 +1,205 @@
+/**
+ * Weights - Aggregate repeated interactions into one weighted edge per pair
+ * Persisted to weighted-edges.json; rebuilt when edges.json is newer or the decay is stale
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { edgeTime } from './graph-store.js';
+
+const WEIGHTED_EDGES_FILE = 'weighted-edges.json';
+
+// Relative value of one interaction of each type
+export const DEFAULT_TYPE_WEIGHTS = {
+  payment: 2.0,
+  proof: 1.5,
+  reply: 1.0,
+  comment: 0.8,
+  mention: 0.6,
+  tag: 0.2,
+  submolt: 0.2
+};
+
+export const DEFAULT_HALF_LIFE_DAYS = 30;
+const DEFAULT_TYPE_WEIGHT = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cached weights go stale after this fraction of a half-life (~7% of decay)
+const STALE_HALF_LIFE_FRACTION = 0.1;
+
+/**
+ * Exponential decay by age; interactions without a timestamp count in full
+ */
+function decayFactor(time, now, halfLifeDays) {
+  if (!halfLifeDays || time === null) return 1;
+  const ageDays = Math.max(0, now - time) / DAY_MS;
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+/**
+ * Saturating 0..1 strength from a raw weight (one reply ~0.63, three ~0.95)
+ */
+export function weightToStrength(weight) {
+  return 1 - Math.exp(-Math.max(0, weight));
+}
+
+/**
+ * Collapse raw edges into one record per directed (from, to) pair:
+ * { from, to, weight, strength, count, types, first_seen, last_seen, sources }
+ */
+export function aggregateEdges(edges, options = {}) {
+  const typeWeights = { ...DEFAULT_TYPE_WEIGHTS, ...(options.typeWeights || {}) };
+  const halfLifeDays = options.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS;
+  const now = options.now ?? Date.now();
+  const pairs = new Map();
+
+  for (const edge of edges) {
+    if (!edge?.from || !edge?.to || edge.from === edge.to) continue;
+    const key = `${edge.from}\u0000${edge.to}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, { from: edge.from, to: edge.to, weight: 0, count: 0, types: {}, first_seen: null, last_seen: null, sources: new Set() });
+    }
+
+    const pair = pairs.get(key);
+    const type = edge.type || 'mention';
+    const time = edgeTime(edge);
+    pair.weight += (typeWeights[type] ?? DEFAULT_TYPE_WEIGHT) * decayFactor(time, now, halfLifeDays);
+    pair.count++;
+    pair.types[type] = (pair.types[type] || 0) + 1;
+    if (edge.source) pair.sources.add(edge.source);
+    if (time !== null) {
+      const iso = new Date(time).toISOString();
+      if (!pair.first_seen || iso < pair.first_seen) pair.first_seen = iso;
+      if (!pair.last_seen || iso > pair.last_seen) pair.last_seen = iso;
+    }
+  }
+
+  return Array.from(pairs.values()).map(pair => ({
+    ...pair,
+    weight: Math.round(pair.weight * 10000) / 10000,
+    strength: Math.round(weightToStrength(pair.weight) * 10000) / 10000,
+    sources: Array.from(pair.sources)
+  }));
+}
+
+/**
+ * Undirected weighted adjacency: node -> Map(neighbor -> summed weight)
+ */
+export function buildWeightedAdjacency(weightedEdges) {
+  const adjacency = new Map();
+  const add = (a, b, weight) => {
+    if (!adjacency.has(a)) adjacency.set(a, new Map());
+    const neighbors = adjacency.get(a);
+    neighbors.set(b, (neighbors.get(b) || 0) + weight);
+  };
+
+  for (const edge of weightedEdges) {
+    add(edge.from, edge.to, edge.weight);
+    add(edge.to, edge.from, edge.weight);
+  }
+
+  return adjacency;
+}
+
+/**
+ * Combined weight between two nodes in both directions
+ */
+export function pairWeight(adjacency, a, b) {
+  return adjacency.get(a)?.get(b) || 0;
+}
+
+async function mtime(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  return stat ? stat.mtimeMs : null;
+}
+
+/**
+ * Rebuild weighted-edges.json from edges.json
+ */
+export async function computeEdgeWeights({ socialPath, typeWeights, halfLifeDays, now } = {}) {
+  const edges = await fs.readFile(path.join(socialPath, 'edges.json'), 'utf-8').then(JSON.parse).catch(() => []);
+  const weighted = aggregateEdges(edges, { typeWeights, halfLifeDays, now });
+
+  const payload = {
+    generated_at: new Date(now ?? Date.now()).toISOString(),
+    half_life_days: halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS,
+    type_weights: { ...DEFAULT_TYPE_WEIGHTS, ...(typeWeights || {}) },
+    edges: weighted
+  };
+
+  await fs.mkdir(socialPath, { recursive: true });
+  await fs.writeFile(path.join(socialPath, WEIGHTED_EDGES_FILE), JSON.stringify(payload, null, 2), 'utf-8');
+  return payload;
+}
+
+/**
+ * Type weights and half-life weighted-edges.json was last built with (defaults if none)
+ */
+export async function loadWeightSettings({ socialPath } = {}) {
+  const cached = await fs.readFile(path.join(socialPath, WEIGHTED_EDGES_FILE), 'utf-8').then(JSON.parse).catch(() => null);
+  return {
+    typeWeights: { ...DEFAULT_TYPE_WEIGHTS, ...(cached?.type_weights || {}) },
+    halfLifeDays: cached?.half_life_days ?? DEFAULT_HALF_LIFE_DAYS
+  };
+}
+
+/**
+ * Aggregate a subset of the graph's edges (e.g. a time window) with the stored
+ * settings; `now` anchors the decay, so an as-of view weighs edges by their age then
+ */
+export async function weighEdges({ socialPath, edges, now }) {
+  return aggregateEdges(edges, { ...(await loadWeightSettings({ socialPath })), now });
+}
+
+/**
+ * Directed weighted pairs for a graph view (see loadGraphView): the persisted layer
+ * limited to the view's kinds, or for a time window its edges weighed as of the window's end
+ */
+export async function loadWeightedPairs(socialPath, { window, edges, accept }) {
+  if (window) return weighEdges({ socialPath, edges, now: window.until ?? undefined });
+  const weighted = await getWeightedEdges({ socialPath });
+  return weighted.filter(edge => accept(edge.from) && accept(edge.to));
+}
+
+/**
+ * Undirected weighted adjacency for a graph view
+ */
+export async function loadWeightedView(socialPath, view) {
+  return buildWeightedAdjacency(await loadWeightedPairs(socialPath, view));
+}
+
+/**
+ * Whether decay in a cached weights file was computed too long ago to serve
+ */
+function isDecayStale(cached, now) {
+  const halfLifeDays = cached.half_life_days ?? DEFAULT_HALF_LIFE_DAYS;
+  if (!halfLifeDays) return false;
+  const generated = Date.parse(cached.generated_at || '');
+  return Number.isNaN(generated) || now - generated > halfLifeDays * STALE_HALF_LIFE_FRACTION * DAY_MS;
+}
+
+/**
+ * Weighted edges, rebuilt first when missing, older than edges.json (proof and
+ * payment flows append to edges.json directly) or decayed as of a time too far
+ * behind `now` for the half-life
+ */
+export async function getWeightedEdges({ socialPath, refresh = false, now = Date.now() } = {}) {
+  const weightedPath = path.join(socialPath, WEIGHTED_EDGES_FILE);
+  const [weightedTime, edgesTime] = await Promise.all([
+    mtime(weightedPath),
+    mtime(path.join(socialPath, 'edges.json'))
+  ]);
+
+  const cached = weightedTime === null ? null :
+    await fs.readFile(weightedPath, 'utf-8').then(JSON.parse).catch(() => null);
+  if (!refresh && Array.isArray(cached?.edges) && (edgesTime === null || weightedTime >= edgesTime) && !isDecayStale(cached, now)) {
+    return cached.edges;
+  }
+
+  // Rebuild with the settings the file was last generated with
+  return (await computeEdgeWeights({
+    socialPath,
+    typeWeights: cached?.type_weights,
+    halfLifeDays: cached?.half_life_days,
+    now
+  })).edges;
+}
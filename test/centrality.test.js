@@ -0,0 +1,80 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pageRankScores, persistCentrality } from '../lib/centrality.js';
+
+const nodes = (...keys) => keys.map(handle => ({ handle }));
+const links = (pairs) => {
+  const map = new Map();
+  for (const [from, to, weight = 1] of pairs) {
+    if (!map.has(from)) map.set(from, new Map());
+    map.get(from).set(to, weight);
+  }
+  return map;
+};
+const total = (scores) => Object.values(scores).reduce((sum, score) => sum + score, 0);
+
+test('pageRankScores keeps the rank of dangling nodes: scores sum to 1', () => {
+  // @c and @d have no outgoing links; @e points at a node without a record
+  const { scores, converged } = pageRankScores(
+    nodes('@a', '@b', '@c', '@d', '@e'),
+    links([['@a', '@b'], ['@b', '@c'], ['@e', '@unknown']])
+  );
+
+  assert.equal(converged, true);
+  assert.ok(Math.abs(total(scores) - 1) < 1e-6);
+  assert.ok(scores['@c'] > scores['@b'] && scores['@b'] > scores['@a']);
+  assert.equal(scores['@d'], scores['@e']);
+});
+
+test('pageRankScores ranks a symmetric graph evenly', () => {
+  const { scores } = pageRankScores(nodes('@a', '@b', '@c'), links([
+    ['@a', '@b'], ['@b', '@a'], ['@b', '@c'], ['@c', '@b'], ['@c', '@a'], ['@a', '@c']
+  ]));
+
+  for (const score of Object.values(scores)) assert.ok(Math.abs(score - 1 / 3) < 1e-6);
+});
+
+test('pageRankScores follows link weights', () => {
+  const { scores } = pageRankScores(nodes('@a', '@b', '@c'), links([['@a', '@b', 3], ['@a', '@c', 1]]));
+
+  assert.ok(scores['@b'] > scores['@c']);
+  assert.ok(Math.abs(total(scores) - 1) < 1e-6);
+});
+
+test('pageRankScores with seeds only ranks what the seeds reach', () => {
+  const { scores } = pageRankScores(nodes('@a', '@b', '@c', '@d'), links([['@a', '@b'], ['@c', '@d']]), { seeds: ['@a'] });
+
+  assert.ok(Math.abs(total(scores) - 1) < 1e-6);
+  assert.equal(scores['@c'], 0);
+  assert.equal(scores['@d'], 0);
+  assert.ok(scores['@a'] > scores['@b']);
+});
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('persistCentrality scores agents and clears stale scores from other nodes', async () => {
+  const socialPath = await fs.mkdtemp(path.join(os.tmpdir(), 'social-centrality-'));
+  tempDirs.push(socialPath);
+  await fs.writeFile(path.join(socialPath, 'nodes.json'), JSON.stringify([
+    { handle: '@a' }, { handle: '@b' }, { handle: '#tag:x', centrality: { pagerank: 1 } }
+  ]));
+  await fs.writeFile(path.join(socialPath, 'edges.json'), JSON.stringify([{ from: '@a', to: '@b', type: 'reply' }]));
+
+  assert.equal((await persistCentrality({ socialPath })).updated, 2);
+  const saved = JSON.parse(await fs.readFile(path.join(socialPath, 'nodes.json'), 'utf-8'));
+  assert.deepEqual(saved.map(node => Boolean(node.centrality)), [true, true, false]);
+});
+
+test('persistCentrality refuses to overwrite a corrupt nodes.json', async () => {
+  const socialPath = await fs.mkdtemp(path.join(os.tmpdir(), 'social-centrality-'));
+  tempDirs.push(socialPath);
+  const corrupt = '[{"handle": "@a"}, {"handle": "@b"';
+  await fs.writeFile(path.join(socialPath, 'nodes.json'), corrupt);
+
+  await assert.rejects(persistCentrality({ socialPath }), /Could not parse/);
+  assert.equal(await fs.readFile(path.join(socialPath, 'nodes.json'), 'utf-8'), corrupt);
+});
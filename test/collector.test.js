@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchMoltbook, flattenCommentThread, normalizeMoltbook, mergeEdges } from '../lib/collector.js';
+
+// 30 posts an hour apart, newest first, served by offset like the Moltbook API
+const HOUR = 60 * 60 * 1000;
+const posts = Array.from({ length: 30 }, (_, i) => ({
+  id: `p${i}`,
+  title: `Post ${i}`,
+  author: { name: 'alice' },
+  created_at: new Date(Date.UTC(2026, 9, 1) - i * HOUR).toISOString()
+}));
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const offset = Number(url.searchParams.get('offset') || 0);
+    const limit = Number(url.searchParams.get('limit'));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ posts: posts.slice(offset, offset + limit), has_more: offset + limit < posts.length }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const crawl = (options) => fetchMoltbook({ baseUrl, limit: 5, includeComments: false, ...options }, 'test-key');
+
+test('fetchMoltbook stops at the since date and advances the mark to the newest post', async () => {
+  const result = await crawl({ since: posts[10].created_at, maxPages: 3 });
+
+  assert.deepEqual(result.posts.map(post => post.id), posts.slice(0, 10).map(post => post.id));
+  assert.equal(result.truncated, false);
+  assert.deepEqual(result.highWaterMark, { latest_post_at: posts[0].created_at, latest_post_id: 'p0' });
+});
+
+test('fetchMoltbook keeps the mark when --max-pages ends the crawl before the since date', async () => {
+  // The since post starts page 3: two full pages leave a gap behind them
+  const result = await crawl({ since: posts[10].created_at, maxPages: 2 });
+
+  assert.equal(result.posts.length, 10);
+  assert.equal(result.truncated, true);
+  assert.equal(result.highWaterMark, null);
+});
+
+test('fetchMoltbook pages newest-first when collecting since a date', async () => {
+  requests.length = 0;
+  const result = await crawl({ since: posts[3].created_at, sort: 'top' });
+
+  assert.ok(requests.every(url => url.searchParams.get('sort') === 'new'));
+  assert.equal(result.highWaterMark.latest_post_id, 'p0');
+});
+
+test('fetchMoltbook does not set a mark from a crawl that is not newest-first', async () => {
+  const result = await crawl({ sort: 'top' });
+
+  assert.equal(result.posts.length, 5);
+  assert.equal(result.highWaterMark, null);
+});
+
+const threadOf = (flat) => flat.map(({ comment, parentId, depth }) => [comment.id, parentId, depth]);
+
+test('flattenCommentThread walks nested replies depth-first', () => {
+  const flat = flattenCommentThread([
+    { id: 'a', replies: [{ id: 'b', replies: [{ id: 'c' }] }, { id: 'd' }] },
+    { id: 'e', children: [{ id: 'f' }] }
+  ]);
+
+  assert.deepEqual(threadOf(flat), [
+    ['a', null, 0], ['b', 'a', 1], ['c', 'b', 2], ['d', 'a', 1], ['e', null, 0], ['f', 'e', 1]
+  ]);
+});
+
+test('flattenCommentThread orders flat lists parents first and derives depth', () => {
+  const flat = flattenCommentThread([
+    { id: 'c', parent_id: 'b' },
+    { id: 'b', parentId: 'a' },
+    { id: 'a' },
+    { id: 'orphan', parent_id: 'deleted' }
+  ]);
+
+  assert.deepEqual(threadOf(flat), [['a', null, 0], ['b', 'a', 1], ['c', 'b', 2], ['orphan', 'deleted', 0]]);
+});
+
+test('flattenCommentThread cuts parent_id cycles instead of recursing forever', () => {
+  assert.deepEqual(threadOf(flattenCommentThread([{ id: 'a', parent_id: 'a' }])), [['a', null, 0]]);
+
+  const flat = flattenCommentThread([
+    { id: 'a', parent_id: 'b' },
+    { id: 'b', parent_id: 'a' },
+    { id: 'c', parent_id: 'b' }
+  ]);
+  assert.deepEqual(threadOf(flat), [['b', null, 0], ['a', 'b', 1], ['c', 'b', 1]]);
+});
+
+test('normalizeMoltbook reads threads of posts that only carry commentCount', () => {
+  const graph = normalizeMoltbook({
+    posts: [{ id: 'p1', title: 'Hello', author: { name: 'alice' }, commentCount: 1 }],
+    threads: [[{ id: 'c1', author: { name: 'bob' }, content: 'Hi' }]]
+  });
+
+  assert.equal(graph.posts[0].comment_count, 1);
+  assert.ok(graph.edges.some(edge => edge.type === 'comment' && edge.from === '@bob' && edge.to === '@alice'));
+});
+
+test('mergeEdges keeps separate undated comments by the same author on a post', () => {
+  const graph = normalizeMoltbook({
+    posts: [{ id: 'p1', title: 'Hello', author: { name: 'alice' }, created_at: '2026-10-01T00:00:00Z', comment_count: 2 }],
+    threads: [[
+      { id: 'c1', author: { name: 'bob' }, content: 'First' },
+      { id: 'c2', author: { name: 'bob' }, content: 'Second' }
+    ]]
+  });
+  const comments = graph.edges.filter(edge => edge.type === 'comment');
+  assert.equal(comments.length, 2);
+
+  const first = mergeEdges([], graph.edges);
+  assert.equal(first.edges.filter(edge => edge.type === 'comment').length, 2);
+  // Collecting the same thread again adds nothing
+  assert.equal(mergeEdges(first.edges, graph.edges).added, 0);
+});
@@ -0,0 +1,92 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { modularity, louvain, detectCommunities, persistCommunities } from '../lib/communities.js';
+
+// Two 5-cliques joined by a single bridge (@a4 - @b0)
+const left = ['@a0', '@a1', '@a2', '@a3', '@a4'];
+const right = ['@b0', '@b1', '@b2', '@b3', '@b4'];
+const clique = (members) => members.flatMap((from, i) => members.slice(i + 1).map(to => [from, to]));
+const pairs = [...clique(left), ...clique(right), ['@a4', '@b0']];
+
+const twoCliqueLinks = () => {
+  const links = new Map([...left, ...right].map(key => [key, new Map()]));
+  for (const [a, b] of pairs) {
+    links.get(a).set(b, 1);
+    links.get(b).set(a, 1);
+  }
+  return links;
+};
+
+let socialPath;
+
+before(async () => {
+  socialPath = await fs.mkdtemp(path.join(os.tmpdir(), 'social-communities-'));
+  const nodes = [...left, ...right].map(handle => ({ id: handle, handle }));
+  const edges = pairs.map(([from, to]) => ({ from, to, type: 'reply', timestamp: '2026-10-01T00:00:00Z' }));
+  await fs.writeFile(path.join(socialPath, 'nodes.json'), JSON.stringify(nodes));
+  await fs.writeFile(path.join(socialPath, 'edges.json'), JSON.stringify(edges));
+});
+
+after(() => fs.rm(socialPath, { recursive: true, force: true }));
+
+test('modularity of the two-clique split', () => {
+  const labels = Object.fromEntries([...left.map(key => [key, 'A']), ...right.map(key => [key, 'B'])]);
+
+  assert.equal(modularity(twoCliqueLinks(), labels).toFixed(4), '0.4524');
+  assert.equal(modularity(twoCliqueLinks(), Object.fromEntries([...left, ...right].map(key => [key, 'all']))), 0);
+  assert.equal(modularity(new Map(), {}), 0);
+});
+
+test('modularity resolution scales the random-wiring penalty', () => {
+  const labels = Object.fromEntries([...left.map(key => [key, 'A']), ...right.map(key => [key, 'B'])]);
+
+  assert.ok(modularity(twoCliqueLinks(), labels, 2) < modularity(twoCliqueLinks(), labels, 1));
+});
+
+test('louvain finds both cliques, labeled by their bridge members', async () => {
+  const { labels, modularity: q, levels } = await louvain({ socialPath, seed: 7 });
+
+  for (const key of left) assert.equal(labels[key], '@a4');
+  for (const key of right) assert.equal(labels[key], '@b0');
+  assert.equal(q.toFixed(4), '0.4524');
+  assert.ok(levels >= 1);
+});
+
+test('louvain gives the same communities for the same seed', async () => {
+  const first = await louvain({ socialPath, seed: 42 });
+  const second = await louvain({ socialPath, seed: 42 });
+
+  assert.deepEqual(second, first);
+});
+
+test('detectCommunities rejects an unknown algorithm', async () => {
+  await assert.rejects(detectCommunities({ socialPath, algorithm: 'girvan-newman' }), /Unknown community algorithm/);
+});
+
+test('persistCommunities stores labels and clears stale ones', async () => {
+  const nodesPath = path.join(socialPath, 'nodes.json');
+  const original = await fs.readFile(nodesPath, 'utf-8');
+  const stale = JSON.parse(original).map(node => ({ ...node, community: '@old' }));
+  await fs.writeFile(nodesPath, JSON.stringify([...stale, { id: '#tag:x', handle: '#tag:x', community: '@old' }]));
+
+  const { labels } = await louvain({ socialPath, seed: 7 });
+  assert.deepEqual(await persistCommunities(socialPath, labels), { updated: 10 });
+
+  const saved = JSON.parse(await fs.readFile(nodesPath, 'utf-8'));
+  assert.deepEqual(saved.map(node => node.community), [...left.map(() => '@a4'), ...right.map(() => '@b0'), undefined]);
+  await fs.writeFile(nodesPath, original);
+});
+
+test('persistCommunities refuses to overwrite a corrupt nodes.json', async () => {
+  const nodesPath = path.join(socialPath, 'nodes.json');
+  const original = await fs.readFile(nodesPath, 'utf-8');
+  const corrupt = original.slice(0, 40);
+  await fs.writeFile(nodesPath, corrupt);
+
+  await assert.rejects(persistCommunities(socialPath, { '@a0': '@a4' }), /Could not parse/);
+  assert.equal(await fs.readFile(nodesPath, 'utf-8'), corrupt);
+  await fs.writeFile(nodesPath, original);
+});
@@ -0,0 +1,32 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { profileCommunities, extractKeywords } from '../lib/community-profiles.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('extractKeywords skips code, URLs, handles, tags and stopwords', () => {
+  assert.deepEqual(
+    extractKeywords('Solana payments with @bob #defi `const x = 1` https://example.com and the validators'),
+    ['solana', 'payments', 'validators']
+  );
+});
+
+test('profileCommunities attributes posts whose author is an object or a plain string', async () => {
+  const socialPath = await fs.mkdtemp(path.join(os.tmpdir(), 'social-profiles-'));
+  tempDirs.push(socialPath);
+  await fs.writeFile(path.join(socialPath, 'nodes.json'), JSON.stringify([{ handle: '@a' }, { handle: '@b' }]));
+  await fs.writeFile(path.join(socialPath, 'edges.json'), JSON.stringify([{ from: '@a', to: '@b', type: 'reply' }]));
+  await fs.writeFile(path.join(socialPath, 'posts.json'), JSON.stringify([
+    { id: 'p1', title: 'Validators', author: { name: 'A', handle: '@a' } },
+    { id: 'p2', title: 'Validators again', author: '@b' },
+    { id: 'p3', title: 'Nobody', author: { name: 'Anonymous' } }
+  ]));
+
+  const [profile] = await profileCommunities({ socialPath, labels: { '@a': '@a', '@b': '@a' } });
+  assert.equal(profile.posts, 2);
+  assert.deepEqual(profile.keywords, [{ word: 'validators', posts: 2 }]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffGraphs } from '../lib/graph-diff.js';
+
+const NOW = Date.parse('2026-10-19T00:00:00Z');
+const at = new Date(NOW).toISOString();
+const node = (handle) => ({ id: handle, handle });
+const reply = (from, to, extra = {}) => ({ from, to, type: 'reply', timestamp: at, ...extra });
+
+const before = {
+  nodes: ['@a', '@b', '@c'].map(node),
+  edges: [reply('@a', '@b'), reply('@b', '@c')]
+};
+const after = {
+  nodes: ['@a', '@b', '@d', '#tag:x'].map(node),
+  edges: [reply('@a', '@b'), reply('@a', '@b', { post_id: 'p2' }), reply('@a', '@d'), { from: '@d', to: '#tag:x', type: 'tag', timestamp: at }]
+};
+
+test('diffGraphs lists new and removed agents and relationships', () => {
+  const diff = diffGraphs(before, after, { now: NOW });
+
+  assert.deepEqual(diff.nodes, { added: ['@d'], removed: ['@c'] });
+  assert.deepEqual(diff.relationships.added, [{ from: '@a', to: '@d', weight: 1, count: 1, types: { reply: 1 } }]);
+  assert.deepEqual(diff.relationships.removed, [{ from: '@b', to: '@c', weight: 1, count: 1, types: { reply: 1 } }]);
+  assert.deepEqual(diff.counts, { nodes: { before: 3, after: 3 }, edges: { before: 2, after: 3 } });
+});
+
+test('diffGraphs reports weight changes and PageRank movers', () => {
+  const diff = diffGraphs(before, after, { now: NOW });
+
+  assert.deepEqual(diff.weights, [{ from: '@a', to: '@b', before: 1, after: 2, change: 1, count: 1 }]);
+  assert.deepEqual(diff.ranks.map(({ node, before: from, after: to }) => [node, from, to]), [['@a', 2, 1], ['@b', 1, 2]]);
+});
+
+test('diffGraphs weighs both sides as of the same time', () => {
+  const old = { nodes: before.nodes, edges: [reply('@a', '@b', { timestamp: '2026-08-01T00:00:00Z' })] };
+  const diff = diffGraphs(old, old, { now: NOW, halfLifeDays: 30 });
+
+  assert.deepEqual(diff.weights, []);
+  assert.deepEqual(diff.ranks, []);
+});
+
+test('diffGraphs includes other node kinds when asked', () => {
+  const diff = diffGraphs(before, after, { now: NOW, kinds: 'all' });
+
+  assert.deepEqual(diff.nodes.added, ['#tag:x', '@d']);
+});
@@ -0,0 +1,42 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { loadGraphStore, readJsonArray, writeJsonFile } from '../lib/graph-store.js';
+
+const tempDirs = [];
+const tempDir = async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'social-store-'));
+  tempDirs.push(dir);
+  return dir;
+};
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('readJsonArray reads a missing file as empty and refuses a corrupt one', async () => {
+  const dir = await tempDir();
+  assert.deepEqual(await readJsonArray(path.join(dir, 'nodes.json')), []);
+
+  await fs.writeFile(path.join(dir, 'nodes.json'), '[{"handle": "@a"},');
+  await assert.rejects(readJsonArray(path.join(dir, 'nodes.json')), /Could not parse .*nodes\.json/);
+
+  await fs.writeFile(path.join(dir, 'edges.json'), '{"edges": []}');
+  await assert.rejects(readJsonArray(path.join(dir, 'edges.json')), /expected a JSON array/);
+});
+
+test('writeJsonFile replaces the file without leaving a temp file behind', async () => {
+  const dir = await tempDir();
+  await writeJsonFile(path.join(dir, 'nodes.json'), [{ handle: '@a' }]);
+
+  assert.deepEqual(await readJsonArray(path.join(dir, 'nodes.json')), [{ handle: '@a' }]);
+  assert.deepEqual(await fs.readdir(dir), ['nodes.json']);
+});
+
+test('loadGraphStore fails on a corrupt graph instead of loading it empty', async () => {
+  const dir = await tempDir();
+  await fs.writeFile(path.join(dir, 'nodes.json'), '[{"handle": "@a"}');
+  await assert.rejects(loadGraphStore(dir), /Could not parse/);
+
+  const empty = await loadGraphStore(await tempDir());
+  assert.deepEqual([empty.nodes, empty.edges], [[], []]);
+});
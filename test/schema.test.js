@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateGraph, repairGraph, formatLocation } from '../lib/schema.js';
+
+const valid = () => ({
+  nodes: [
+    { id: 'did:example:alice', handle: '@alice', name: 'Alice' },
+    { id: 'did:example:bob', handle: '@bob', name: 'Bob' }
+  ],
+  edges: [
+    { from: '@alice', to: '@bob', type: 'reply', timestamp: '2026-10-01T00:00:00Z' },
+    { from: '@bob', to: '@carol', type: 'mention' }
+  ],
+  posts: [{ id: 'p1', author_handle: '@alice', title: 'Hello' }]
+});
+
+const codes = (issues) => issues.map(issue => `${issue.kind}[${issue.index}] ${issue.code}`);
+
+test('validateGraph accepts a well-formed graph; mentions of unknown agents are warnings', () => {
+  const report = validateGraph(valid());
+
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.errors, []);
+  assert.deepEqual(codes(report.warnings), ['edge[1] dangling_edge']);
+});
+
+test('validateGraph reports missing fields, bad dates, duplicates and dangling edges', () => {
+  const graph = valid();
+  graph.nodes.push({ handle: '@alice', name: 'Alice again' }, { name: 'No key' });
+  graph.edges.push({ from: '@alice', type: 'reply' }, { from: '@alice', to: '@dave', type: 'reply', timestamp: 'yesterday' });
+  graph.posts.push({ id: 'p1' });
+
+  const report = validateGraph(graph);
+  assert.equal(report.valid, false);
+  assert.deepEqual(codes(report.errors), [
+    'node[2] duplicate_id',
+    'node[3] missing_field',
+    'edge[2] missing_field',
+    'edge[3] invalid_type',
+    'edge[3] dangling_edge',
+    'post[1] duplicate_id'
+  ]);
+});
+
+test('validateGraph locates issues by line and sorts them in file order', () => {
+  const graph = { nodes: [{ name: 'No key' }, { handle: '@b' }, { handle: '@b' }], edges: [], posts: [] };
+  const report = validateGraph(graph, { locations: { nodes: [9, 4, 2] } });
+
+  assert.deepEqual(report.errors.map(issue => `${issue.code} ${formatLocation(issue)}`), ['duplicate_id line 2', 'missing_field line 9']);
+  assert.equal(formatLocation({ kind: 'edge', index: 3 }), 'edges[3]');
+});
+
+test('repairGraph fills ids and handles, merges duplicates and drops unusable records', () => {
+  const graph = valid();
+  graph.nodes.push({ name: 'Carol Smith', privacy: 'everyone' }, { handle: '@alice', bio: 'second copy' }, { bio: 'nobody' });
+  graph.edges.push({ to: '@bob', type: 'reply' }, { from: '@alice', to: '@ghost', type: 'reply' }, { from: '@bob', to: '@alice', timestamp: 'soon' });
+  graph.posts.push({ id: 'p1', title: 'Duplicate' }, { title: 'No id' });
+
+  let next = 0;
+  const { graph: repaired, repairs } = repairGraph(graph, { generateId: () => `gen-${++next}` });
+
+  assert.deepEqual(repaired.nodes.map(node => node.handle), ['@alice', '@bob', '@carolsmith']);
+  assert.equal(repaired.nodes[2].id, 'gen-1');
+  assert.equal(repaired.nodes[2].privacy, 'graph');
+  assert.equal(repaired.nodes[0].bio, 'second copy');
+  assert.deepEqual(repaired.edges.at(-1), { from: '@bob', to: '@alice', type: 'mention' });
+  assert.equal(repaired.edges.length, 3);
+  assert.deepEqual(repaired.posts.map(post => post.title), ['Hello']);
+  assert.deepEqual(repairs.filter(repair => repair.action === 'dropped').map(repair => `${repair.kind}[${repair.index}]`), [
+    'node[4]', 'edge[2]', 'edge[3]', 'post[1]', 'post[2]'
+  ]);
+
+  assert.equal(validateGraph(repaired).valid, true);
+});
+
+test('validateGraph and repairGraph keep onchain edges to wallets and uncollected agents', () => {
+  const graph = valid();
+  graph.edges.push(
+    { from: '@alice', to: '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU', type: 'payment', source: 'solana' },
+    { from: '@bob', to: '@zed', type: 'proof', source: 'solana' },
+    { from: 'So11111111111111111111111111111111111111112', to: '@alice', type: 'reward', source: 'solana' }
+  );
+
+  const report = validateGraph(graph);
+  assert.equal(report.valid, true);
+  assert.deepEqual(codes(report.warnings), ['edge[1] dangling_edge', 'edge[2] dangling_edge', 'edge[3] dangling_edge', 'edge[4] dangling_edge']);
+
+  const { graph: repaired, repairs } = repairGraph(graph);
+  assert.deepEqual(repaired.edges, graph.edges);
+  assert.deepEqual(repairs, []);
+});
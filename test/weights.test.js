@@ -0,0 +1,61 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { aggregateEdges, computeEdgeWeights, getWeightedEdges } from '../lib/weights.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T00:00:00Z');
+const daysAgo = (days) => new Date(NOW - days * DAY).toISOString();
+
+test('aggregateEdges halves an interaction for every half-life of age', () => {
+  const [pair] = aggregateEdges([
+    { from: '@a', to: '@b', type: 'reply', timestamp: daysAgo(0) },
+    { from: '@a', to: '@b', type: 'reply', timestamp: daysAgo(30) },
+    { from: '@a', to: '@b', type: 'reply', timestamp: daysAgo(60) }
+  ], { now: NOW, halfLifeDays: 30 });
+
+  assert.equal(pair.weight, 1.75);
+  assert.equal(pair.count, 3);
+  assert.deepEqual(pair.types, { reply: 3 });
+  assert.equal(pair.first_seen, daysAgo(60));
+  assert.equal(pair.last_seen, daysAgo(0));
+});
+
+test('aggregateEdges counts undated edges in full and ignores decay at half-life 0', () => {
+  const edges = [
+    { from: '@a', to: '@b', type: 'mention' },
+    { from: '@a', to: '@b', type: 'payment', timestamp: daysAgo(365) }
+  ];
+
+  assert.equal(aggregateEdges(edges, { now: NOW, halfLifeDays: 0 })[0].weight, 2.6);
+  assert.equal(aggregateEdges(edges, { now: NOW, halfLifeDays: 365 })[0].weight, 1.6);
+});
+
+test('aggregateEdges keeps one record per direction and skips self-loops', () => {
+  const pairs = aggregateEdges([
+    { from: '@a', to: '@b', type: 'reply', timestamp: daysAgo(0) },
+    { from: '@b', to: '@a', type: 'comment', timestamp: daysAgo(0) },
+    { from: '@a', to: '@a', type: 'reply', timestamp: daysAgo(0) }
+  ], { now: NOW, typeWeights: { comment: 0.5 } });
+
+  assert.deepEqual(pairs.map(pair => [pair.from, pair.to, pair.weight]), [['@a', '@b', 1], ['@b', '@a', 0.5]]);
+});
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+test('getWeightedEdges rebuilds cached weights once their decay is stale', async () => {
+  const socialPath = await fs.mkdtemp(path.join(os.tmpdir(), 'social-weights-'));
+  tempDirs.push(socialPath);
+  await fs.writeFile(path.join(socialPath, 'edges.json'), JSON.stringify([
+    { from: '@a', to: '@b', type: 'reply', timestamp: daysAgo(30) }
+  ]));
+  await computeEdgeWeights({ socialPath, halfLifeDays: 30, now: NOW - 7 * DAY });
+
+  // Within a tenth of the half-life (3 days) the cache is served as is
+  assert.equal((await getWeightedEdges({ socialPath, now: NOW - 6 * DAY }))[0].weight, 0.5878);
+  // A week later the edge has decayed a full half-life
+  assert.equal((await getWeightedEdges({ socialPath, now: NOW }))[0].weight, 0.5);
+});